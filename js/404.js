@@ -6,7 +6,8 @@
  * aprovechando el sistema de i18n global existente.
  */
 
-import { loadLang, applyTranslations, detectUserLanguage } from "./lang.js";
+import { loadLang, applyTranslations, detectUserLanguage, switchLanguage } from "./lang.js";
+import { setupLanguageSwitcher } from "./language-switcher.js";
 import { DEFAULT_LANG, DEBUG_MODE } from "./config.js";
 
 /* =====================
@@ -31,6 +32,7 @@ import { DEFAULT_LANG, DEBUG_MODE } from "./config.js";
     
     // Configurar funcionalidades específicas de la página 404
     setupNavigationButtons();
+    setupLanguageSwitcher(document.getElementById('error_language'), selectedLang);
     logPageNotFound();
     
     if (DEBUG_MODE) console.log(`Página 404 inicializada en idioma: ${selectedLang}`);
@@ -140,8 +142,8 @@ function logNavigationEvent(action) {
    EVENT LISTENERS GLOBALES
 ===================== */
 
-// Escuchar cambios de idioma (tu sistema ya emite este evento)
-document.addEventListener('languageChanged', (event) => {
+// Cambios de idioma desde el menú (switchLanguage emite el evento en window)
+window.addEventListener('languageChanged', (event) => {
   if (DEBUG_MODE) console.log('🌍 Idioma cambiado en 404:', event.detail.language);
 });
 
@@ -162,11 +164,7 @@ if (DEBUG_MODE) {
     logPageNotFound,
     logNavigationEvent,
     setupNavigationButtons,
-    forceLanguage: async (lang) => {
-      const translations = await loadLang(lang);
-      applyTranslations(translations);
-      document.documentElement.lang = lang;
-    }
+    forceLanguage: (lang) => switchLanguage(lang)
   };
   
   console.log('🔧 Funciones de debug 404 disponibles en window.debug404');
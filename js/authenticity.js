@@ -0,0 +1,116 @@
+/**
+ * authenticity.js - Verificación de cartas físicas numeradas
+ * Proyecto: Super X Immersive Cards
+ *
+ * El QR impreso de cada carta lleva su número de serie y una etiqueta firmada:
+ *   card.html?id=e3y7pz&s=042&t=<firma>
+ * La firma es HMAC-SHA256 (truncado) de "<id>.<serie>" y el número debe caber
+ * en la tirada indicada por `edition.size` en cards.json.
+ * Las impresiones especiales añaden &p=<impresión> (una clave de `printings`),
+ * que entra en la firma como "<id>.<serie>.<impresión>" y puede tener su propia tirada.
+ * La clave está en config.js, que se publica con el sitio: esto ofusca las URLs
+ * (no se pueden inventar series a mano), pero no demuestra que la carta sea original.
+ * Las URLs sin serie ni firma se devuelven como "unsigned": card.js solo las abre si la
+ * carta ya está en la colección o en AUTHENTICITY_CONFIG.legacyUnsignedIds.
+ * scripts/sign-card-urls.mjs usa este mismo módulo para generar las URLs.
+ */
+
+import { AUTHENTICITY_CONFIG } from "./config.js";
+import { signMessage, verifySignature } from "./utils.js";
+
+const SERIAL_PATTERN = /^\d{1,6}$/;
+
+/**
+ * Mensaje firmado para una carta concreta (la serie sin ceros a la izquierda)
+ * Sin impresión se mantiene el formato original, así los QR ya impresos siguen valiendo
+ */
+function getSignedMessage(cardId, serial, printing = null) {
+  return printing ? `${cardId}.${Number(serial)}.${printing}` : `${cardId}.${Number(serial)}`;
+}
+
+/**
+ * Tamaño de la tirada de una impresión (la de la carta si la impresión no define otra)
+ * @param {Object} cardData - Entrada de la carta en cards.json
+ * @param {string|null} [printing] - Clave de `printings`
+ * @returns {number|null}
+ */
+export function getEditionSize(cardData, printing = null) {
+  const printingSize = printing ? cardData?.printings?.[printing]?.editionSize : null;
+  return Number(printingSize ?? cardData?.edition?.size) || null;
+}
+
+/**
+ * Calcula la etiqueta de autenticidad de una copia
+ * @param {string} cardId - ID de la carta en cards.json
+ * @param {number} serial - Número de serie (1..edition.size)
+ * @param {string|null} [printing] - Impresión especial (clave de `printings`)
+ * @returns {Promise<string>}
+ */
+export function signCardSerial(cardId, serial, printing = null) {
+  const { signingKey, signatureLength } = AUTHENTICITY_CONFIG;
+  return signMessage(getSignedMessage(cardId, serial, printing), signingKey, signatureLength);
+}
+
+/**
+ * Formatea el número de serie con tantos dígitos como el tamaño de la tirada
+ * @example formatSerial(42, 500) // "042"
+ */
+export function formatSerial(serial, editionSize) {
+  const digits = Math.max(String(editionSize || '').length, AUTHENTICITY_CONFIG.minSerialDigits);
+  return String(serial).padStart(digits, '0');
+}
+
+/**
+ * Construye la URL firmada de una copia (la que se imprime en el QR)
+ * @param {string} baseUrl - URL de card.html
+ * @param {string} cardId - ID de la carta
+ * @param {number} serial - Número de serie
+ * @param {number} editionSize - Tamaño de la tirada
+ * @param {string|null} [printing] - Impresión especial (clave de `printings`)
+ */
+export async function createSignedCardUrl(baseUrl, cardId, serial, editionSize, printing = null) {
+  const { serialParam, tagParam, printingParam } = AUTHENTICITY_CONFIG;
+  const url = new URL(baseUrl);
+  url.searchParams.set('id', cardId);
+  if (printing) {
+    url.searchParams.set(printingParam, printing);
+  }
+  url.searchParams.set(serialParam, formatSerial(serial, editionSize));
+  url.searchParams.set(tagParam, await signCardSerial(cardId, serial, printing));
+  return url.href;
+}
+
+/**
+ * Comprueba la serie y la etiqueta de una URL contra los datos de edición de la carta
+ * @param {string} cardId - ID de la carta
+ * @param {Object} cardData - Entrada de la carta en cards.json
+ * @param {URLSearchParams} params - Parámetros de la URL
+ * @returns {Promise<{status: ('verified'|'unsigned'|'unverified'), reason: (string|null), serial: (number|null), editionSize: (number|null), printing: (string|null)}>}
+ *   - verified: serie dentro de la tirada y firma correcta
+ *   - unsigned: la URL no trae serie ni etiqueta (`printing` es la impresión pedida, sin verificar)
+ *   - unverified: faltan datos, la impresión o la serie no existen o la firma no coincide
+ */
+export async function verifyCardAuthenticity(cardId, cardData, params) {
+  const { serialParam, tagParam, printingParam, signingKey, signatureLength } = AUTHENTICITY_CONFIG;
+  const serialText = params.get(serialParam);
+  const tag = params.get(tagParam);
+  const printing = params.get(printingParam) || null;
+  const editionSize = getEditionSize(cardData, printing);
+
+  const result = (status, reason = null, serial = null) => ({ status, reason, serial, editionSize, printing });
+
+  if (!serialText && !tag) return result('unsigned');
+  if (!serialText || !tag) return result('unverified', 'incomplete');
+  if (printing && !Object.hasOwn(cardData?.printings || {}, printing)) return result('unverified', 'printing');
+  if (!editionSize) return result('unverified', 'no_edition');
+  if (!SERIAL_PATTERN.test(serialText)) return result('unverified', 'serial_format');
+
+  const serial = Number(serialText);
+  if (serial < 1 || serial > editionSize) return result('unverified', 'serial_out_of_range');
+
+  if (!await verifySignature(getSignedMessage(cardId, serial, printing), tag, signingKey, signatureLength)) {
+    return result('unverified', 'signature');
+  }
+
+  return result('verified', null, serial);
+}
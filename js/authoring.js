@@ -0,0 +1,68 @@
+/**
+ * authoring.js - Modo de autoría de card.html
+ * Proyecto: Super X Immersive Cards
+ *
+ * tools/author.html carga card.html?id=<id>&author en un iframe y le pasa los
+ * cambios sin guardar como JSON Merge Patch (RFC 7396), el mismo formato que
+ * exporta y que aplica scripts/apply-card-patch.mjs sobre data/cards.json.
+ * Solo funciona en local (AUTHORING_CONFIG.localHosts).
+ */
+
+import { AUTHORING_CONFIG } from "./config.js";
+
+/**
+ * true si la página se sirve desde un host local
+ */
+export function isAuthoringHost(location = window.location) {
+  return AUTHORING_CONFIG.localHosts.includes(location.hostname);
+}
+
+/**
+ * true si card.html debe abrirse en modo de autoría (?author en un host local)
+ * @param {URLSearchParams} params - Parámetros de la URL de card.html
+ */
+export function isAuthoringMode(params) {
+  return params.has(AUTHORING_CONFIG.urlParam) && isAuthoringHost();
+}
+
+/**
+ * Cambios sin guardar de una carta, o null si no hay
+ */
+export function readAuthoringPatch(cardId) {
+  try {
+    const patches = JSON.parse(sessionStorage.getItem(AUTHORING_CONFIG.storageKey));
+    return patches?.[cardId] ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Guarda los cambios de una carta para la próxima carga del iframe
+ */
+export function writeAuthoringPatch(cardId, patch) {
+  sessionStorage.setItem(AUTHORING_CONFIG.storageKey, JSON.stringify({ [cardId]: patch }));
+}
+
+/**
+ * Aplica un JSON Merge Patch (RFC 7396): los objetos se fusionan, null borra
+ * la clave y cualquier otro valor (arrays incluidos) reemplaza al anterior.
+ * No modifica `target`.
+ */
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
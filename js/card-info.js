@@ -0,0 +1,175 @@
+/**
+ * card-info.js - Ficha de la carta: serie, personaje, artista, edición, rareza y lanzamiento
+ * Proyecto: Super X Immersive Cards
+ *
+ * Resuelve los campos de cards.json al idioma activo. Lo usan el panel de
+ * información de card.html, el texto para compartir, los hotspots y el selector
+ * de impresiones del visor y la colección de index.html.
+ */
+
+import { CARD_INFO_CONFIG } from "./config.js";
+import { getLocalizedValue, getTranslation, formatTranslation } from "./lang.js";
+
+// Etiqueta de cada fila del panel (clave de traducción y texto por defecto)
+const FIELD_LABELS = {
+  series: ["card_detail_series", "Serie"],
+  character: ["card_detail_character", "Personaje"],
+  artist: ["card_detail_artist", "Artista"],
+  edition: ["card_detail_edition", "Edición"],
+  rarity: ["card_detail_rarity", "Rareza"],
+  releaseDate: ["card_detail_release", "Lanzamiento"]
+};
+
+// Nombre de cada rareza de CARD_INFO_CONFIG.rarities
+const RARITY_LABELS = {
+  common: ["rarity_common", "Común"],
+  uncommon: ["rarity_uncommon", "Poco común"],
+  rare: ["rarity_rare", "Rara"],
+  epic: ["rarity_epic", "Épica"],
+  legendary: ["rarity_legendary", "Legendaria"]
+};
+
+/**
+ * Campos de la carta en el idioma indicado (los que falten quedan en null)
+ * @param {Object} cardData - Entrada de cards.json
+ * @param {string} lang - Idioma activo
+ */
+export function getCardInfo(cardData, lang) {
+  const localized = (values) => getLocalizedValue(values, lang) || null;
+  const rarity = CARD_INFO_CONFIG.rarities.includes(cardData?.rarity) ? cardData.rarity : null;
+
+  return {
+    title: localized(cardData?.title),
+    series: localized(cardData?.series),
+    character: localized(cardData?.character),
+    artist: cardData?.artist || null,
+    rarity,
+    releaseDate: parseReleaseDate(cardData?.releaseDate),
+    description: localized(cardData?.description),
+    edition: cardData?.edition?.size
+      ? { size: cardData.edition.size, name: localized(cardData.edition.name) }
+      : null
+  };
+}
+
+/**
+ * "Batman (por Frank Miller)": el título con el crédito del artista, si lo hay
+ * @param {Object} cardData - Entrada de cards.json
+ * @param {Object} translations - Traducciones activas
+ * @param {string} lang - Idioma activo
+ * @param {string} [fallback=''] - Título si la carta no tiene ninguno
+ */
+export function getCreditedTitle(cardData, translations, lang, fallback = '') {
+  const { title, artist } = getCardInfo(cardData, lang);
+  if (!title || !artist) return title || fallback;
+
+  return formatTranslation(translations, 'card_title_with_artist', { title, artist }, {
+    fallback: '{title} (por {artist})',
+    lang
+  });
+}
+
+/**
+ * Filas del panel de información en el orden de CARD_INFO_CONFIG.fields
+ * @returns {Array<{field: string, label: string, value: string}>}
+ */
+export function getCardInfoRows(cardData, translations, lang) {
+  const info = getCardInfo(cardData, lang);
+
+  return CARD_INFO_CONFIG.fields
+    .map(field => ({ field, value: formatField(field, info, translations, lang) }))
+    .filter(({ value }) => value)
+    .map(({ field, value }) => ({
+      field,
+      label: getTranslation(translations, ...(FIELD_LABELS[field] || [field, field])),
+      value
+    }));
+}
+
+/**
+ * Hotspots de la carta con textos en el idioma indicado y coordenadas en el
+ * formato de model-viewer ("0.01m 0.04m 0.002m"). Se omiten los que no tienen
+ * posición válida o etiqueta.
+ * @returns {Array<{id: string, position: string, normal: string|null, label: string, body: string|null}>}
+ */
+export function getCardHotspots(cardData, lang) {
+  if (!Array.isArray(cardData?.hotspots)) return [];
+
+  return cardData.hotspots
+    .map(hotspot => ({
+      id: hotspot?.id,
+      position: formatVector(hotspot?.position, 'm'),
+      normal: formatVector(hotspot?.normal, 'm'),
+      label: getLocalizedValue(hotspot?.label, lang) || null,
+      body: getLocalizedValue(hotspot?.body, lang) || null
+    }))
+    .filter(hotspot => hotspot.id && hotspot.position && hotspot.label);
+}
+
+/**
+ * Impresiones especiales de la carta (foil, holo, arte alternativo...) en el
+ * orden de cards.json, con su variante de material del modelo y el nombre en
+ * el idioma indicado (la clave si no tiene nombre)
+ * @returns {Array<{id: string, variant: string, label: string}>}
+ */
+export function getCardPrintings(cardData, lang) {
+  return Object.entries(cardData?.printings || {})
+    .filter(([, printing]) => typeof printing?.variant === 'string')
+    .map(([id, printing]) => ({
+      id,
+      variant: printing.variant,
+      label: getLocalizedValue(printing.label, lang) || id
+    }));
+}
+
+/**
+ * Nombre traducido de una rareza ("rare" → "Rara")
+ */
+export function getRarityLabel(rarity, translations) {
+  return RARITY_LABELS[rarity] ? getTranslation(translations, ...RARITY_LABELS[rarity]) : '';
+}
+
+/* ===================== AUXILIARES ===================== */
+
+function formatField(field, info, translations, lang) {
+  switch (field) {
+    case 'edition': {
+      if (!info.edition) return '';
+      const size = formatTranslation(translations, 'card_edition_size', { size: info.edition.size }, {
+        fallback: '{size, plural, one {# copia} other {# copias}}',
+        lang
+      });
+      return info.edition.name ? `${info.edition.name} · ${size}` : size;
+    }
+    case 'rarity':
+      return getRarityLabel(info.rarity, translations);
+    case 'releaseDate':
+      return info.releaseDate
+        ? formatTranslation(translations, 'card_release_value', { date: info.releaseDate }, {
+            fallback: '{date, date, long}',
+            lang
+          })
+        : '';
+    default:
+      return info[field] || '';
+  }
+}
+
+/**
+ * [x, y, z] → "xm ym zm" (null si no son tres números)
+ */
+function formatVector(vector, unit) {
+  if (!Array.isArray(vector) || vector.length !== 3 || !vector.every(Number.isFinite)) return null;
+  return vector.map(value => `${value}${unit}`).join(' ');
+}
+
+/**
+ * "2025-03-14" como fecha local (new Date("2025-03-14") sería UTC y podría mostrar el día anterior)
+ */
+function parseReleaseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -9,18 +9,46 @@ import {
   applyTranslations,
   detectUserLanguage,
   getTranslation,
+  formatTranslation,
+  getLocalizedValue,
   switchLanguage,
 } from "./lang.js";
 
+import { setupLanguageSwitcher } from "./language-switcher.js";
+
+import { isReducedMotion, setupMotionToggle } from "./motion.js";
+
+import { isTiltSupported, requestTiltPermission, getScreenAngle, TiltTracker } from "./tilt.js";
+
+import { recordCardView, getCollection, getUnlockedPrintings } from "./collection.js";
+
+import { verifyCardAuthenticity, formatSerial } from "./authenticity.js";
+
+import { getCardInfo, getCardInfoRows, getCreditedTitle, getCardHotspots, getCardPrintings } from "./card-info.js";
+
 import * as config from "./config.js";
 
 import {
   spawnParticles,
   snapToNearestSide,
   validateResource,
+  findFirstAvailableResource,
+  retryWithBackoff,
+  registerServiceWorker,
+  isResourceCached,
+  requestOfflineCache,
+  normalizeVideoSources,
+  getPlayableVideoSources,
+  detectQualityTier,
+  getQualityVariants,
+  getQualityValue,
+  createProgressAggregator,
+  getBufferedFraction,
   isModelViewerReady,
+  radToDeg,
   getCardShareImage,
   detectPlatform,
+  getARModesForPlatform,
   tryNativeShare,
   copyImageToClipboard,
   downloadImage,
@@ -37,29 +65,229 @@ const views = {
     error: document.getElementById('card_view_error'),
     loading: document.getElementById('card_view_loading'),
     model: document.getElementById('card_view_model'),
-    video: document.getElementById('card_view_video')
+    video: document.getElementById('card_view_video'),
+    unverified: document.getElementById('card_view_unverified')
 };
 
 /**
  * Cambia a la vista especificada.
  * Este es el nuevo enfoque: declarativo, simple y que aprovecha las transiciones CSS.
- * @param {('error'|'loading'|'model'|'video')} viewName - El nombre corto de la vista a mostrar.
+ * @param {('error'|'loading'|'model'|'video'|'unverified')} viewName - El nombre corto de la vista a mostrar.
  */
 function switchView(viewName) {
+    // Si el foco estaba en una vista, la vista oculta lo perdería: lo llevamos a la nueva
+    const hadFocus = Object.values(views).some(view => view?.contains(document.activeElement));
+
     // 1. Quita la clase 'active' de todas las vistas.
     Object.values(views).forEach(view => view.classList.remove('active'));
 
     // 2. Añade la clase 'active' solo a la vista deseada.
     if (views[viewName]) {
         views[viewName].classList.add('active');
+        if (hadFocus) {
+            focusView(views[viewName]);
+        }
     }
 }
 
+/**
+ * Enfoca el primer elemento visible marcado con data-view-focus dentro de la vista
+ */
+function focusView(view) {
+    requestAnimationFrame(() => {
+        const target = [...view.querySelectorAll('[data-view-focus]')]
+            .find(element => !element.classList.contains('hidden'));
+        target?.focus({ preventScroll: true });
+    });
+}
+
+/* ===================== ANUNCIOS PARA LECTORES DE PANTALLA ===================== */
+const liveStatus = document.getElementById('card_live_status');
+
+/**
+ * Lee el mensaje en la región aria-live de la página.
+ * Se vacía antes para que un mensaje repetido también se vuelva a anunciar.
+ */
+function announceStatus(message) {
+    if (!liveStatus || !message) return;
+    liveStatus.textContent = '';
+    requestAnimationFrame(() => {
+        liveStatus.textContent = message;
+    });
+}
+
 /* ===================== FUNCIONES DE NOTIFICACIÓN ===================== */
-const displayError = (message) => showNotification(message, config.NOTIFICATION_ERROR_CONFIG);
-const displayWarning = (message) => showNotification(message, config.NOTIFICATION_WARNING_CONFIG);
-const displaySuccess = (message) => showNotification(message, config.NOTIFICATION_SUCCESS_CONFIG);
-const displayInfo = (message) => showNotification(message, config.NOTIFICATION_INFO_CONFIG);
+// translationKey permite volver a traducir la notificación visible al cambiar de idioma
+const displayError = (message, translationKey) => showNotification(message, { ...config.NOTIFICATION_ERROR_CONFIG, translationKey });
+const displayWarning = (message, translationKey) => showNotification(message, { ...config.NOTIFICATION_WARNING_CONFIG, translationKey });
+const displaySuccess = (message, translationKey) => showNotification(message, { ...config.NOTIFICATION_SUCCESS_CONFIG, translationKey });
+const displayInfo = (message, translationKey) => showNotification(message, { ...config.NOTIFICATION_INFO_CONFIG, translationKey });
+
+/* ===================== ERRORES DE CARGA ===================== */
+
+/**
+ * Error de carga clasificado para elegir mensaje y decidir si se reintenta.
+ * - not_found: la carta no existe (no se reintenta)
+ * - offline: el dispositivo no tiene conexión
+ * - server: fallo de red, timeout o recurso no disponible
+ * - unverified: la URL no corresponde a una copia física auténtica (no se reintenta)
+ */
+class CardLoadError extends Error {
+    constructor(type, message, cause = null) {
+        super(message);
+        this.name = "CardLoadError";
+        this.type = type;
+        this.cause = cause;
+    }
+
+    get transient() {
+        return this.type !== "not_found" && this.type !== "unverified";
+    }
+}
+
+// Claves de traducción (y textos por defecto) de la vista de error para cada tipo
+const LOAD_ERROR_MESSAGES = {
+    not_found: {
+        title: ["error_card_not_found", "Carta no encontrada"],
+        message: ["card_error_message", "Debes escanear la carta 3D para acceder a su experiencia interactiva."]
+    },
+    offline: {
+        title: ["error_offline_title", "Sin conexión"],
+        message: ["error_offline_message", "Revisa tu conexión a internet e inténtalo de nuevo."]
+    },
+    server: {
+        title: ["error_server_title", "Algo salió mal"],
+        message: ["error_resource_load_failed", "No se pudo cargar la carta. Inténtalo de nuevo más tarde."]
+    }
+};
+
+/**
+ * Convierte cualquier error del pipeline de carga en un CardLoadError
+ */
+function toCardLoadError(error) {
+    if (error instanceof CardLoadError) {
+        return error;
+    }
+    const type = navigator.onLine === false ? "offline" : "server";
+    return new CardLoadError(type, error?.message || String(error), error);
+}
+
+/**
+ * Muestra la vista de error adecuada al tipo y, si procede, el botón de reintento
+ * @param {CardLoadError} error - Error clasificado
+ * @param {Object} translations - Traducciones activas
+ * @param {Function|null} onRetry - Acción del botón "Reintentar" (null para ocultarlo)
+ */
+function showLoadError(error, translations, onRetry = null) {
+    const { title, message } = LOAD_ERROR_MESSAGES[error.type] || LOAD_ERROR_MESSAGES.server;
+    const titleElement = document.getElementById("card_error_title");
+    const messageElement = document.getElementById("card_error_message");
+    const retryButton = document.getElementById("card_error_retry");
+
+    // data-i18n sigue a la clave mostrada para que el menú de idioma la vuelva a traducir
+    if (titleElement) {
+        titleElement.dataset.i18n = title[0];
+        titleElement.textContent = getTranslation(translations, ...title);
+    }
+    if (messageElement) {
+        messageElement.dataset.i18n = message[0];
+        messageElement.textContent = getTranslation(translations, ...message);
+    }
+    if (retryButton) {
+        retryButton.classList.toggle("hidden", !onRetry);
+        retryButton.onclick = onRetry;
+    }
+
+    switchView("error");
+}
+
+/**
+ * Muestra la vista de carta no verificada (sin reintento: la URL no va a cambiar)
+ */
+function showUnverifiedCard() {
+    const homeButton = document.getElementById("card_unverified_home");
+    if (homeButton) {
+        homeButton.onclick = () => window.location.assign("index.html");
+    }
+    switchView("unverified");
+}
+
+/**
+ * Verifica la serie y la firma de la URL contra los datos de edición de la carta.
+ * Las URLs sin firma solo abren cartas que ya están en la colección del dispositivo
+ * (enlaces de la página de inicio o colecciones importadas) o que figuran en
+ * legacyUnsignedIds (QR sin firma ya impresos).
+ * La impresión de una URL sin firma solo se respeta si ya estaba desbloqueada.
+ * @returns {Promise<{status: string, serial: (number|null), editionSize: (number|null), printing: (string|null)}>}
+ * @throws {CardLoadError} de tipo "unverified"
+ */
+async function checkCardAuthenticity(cardId, cardData, params) {
+    if (!config.AUTHENTICITY_CONFIG.enabled) {
+        const printing = params.get(config.AUTHENTICITY_CONFIG.printingParam);
+        return {
+            status: "disabled",
+            serial: null,
+            editionSize: null,
+            printing: Object.hasOwn(cardData.printings || {}, printing || "") ? printing : null
+        };
+    }
+
+    const result = await verifyCardAuthenticity(cardId, cardData, params);
+
+    if (result.status === "unsigned") {
+        const entry = getCollection()[cardId];
+        if (!entry && !config.AUTHENTICITY_CONFIG.legacyUnsignedIds.includes(cardId)) {
+            throw new CardLoadError("unverified", "La URL no incluye serie ni firma");
+        }
+        // Se muestra la serie verificada cuando se escaneó la carta
+        return {
+            ...result,
+            serial: entry?.serial ?? null,
+            printing: getUnlockedPrintings(cardId).includes(result.printing) ? result.printing : null
+        };
+    }
+
+    if (result.status === "unverified") {
+        throw new CardLoadError("unverified", `Carta no verificada (${result.reason})`);
+    }
+
+    return result;
+}
+
+/**
+ * Descarga cards.json con timeout y devuelve los datos de la carta
+ */
+async function fetchCardData(cardId) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.LOADING_CONFIG.dataTimeout);
+
+    try {
+        const response = await fetch(config.CARDS_DATA_PATH, { signal: controller.signal });
+        if (!response.ok) {
+            throw new CardLoadError("server", `HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data[cardId]) {
+            throw new CardLoadError("not_found", `Carta no encontrada: ${cardId}`);
+        }
+        return data[cardId];
+    } catch (error) {
+        throw toCardLoadError(error);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Comprueba que un recurso exista. Si ya está en la caché offline
+ * se evita la petición HEAD de validación.
+ */
+async function isResourceAvailable(url) {
+    if (await isResourceCached(url)) {
+        return true;
+    }
+    return validateResource(url, config.RESOURCE_VALIDATION);
+}
 
 /* ===================== INICIALIZACIÓN PRINCIPAL - VERSIÓN MEJORADA ===================== */
 (async function initializeCardViewer() {
@@ -67,101 +295,179 @@ const displayInfo = (message) => showNotification(message, config.NOTIFICATION_I
   const params = new URLSearchParams(window.location.search);
   const cardId = params.get("id");
   const selectedLang = detectUserLanguage();
+  // authoring.js no forma parte del shell del service worker: solo se carga con ?author
+  const authoringTools = params.has(config.AUTHORING_CONFIG.urlParam) ? await import("./authoring.js") : null;
+  const authoring = Boolean(authoringTools?.isAuthoringMode(params));
   let translations = {};
 
   try {
     translations = await loadLang(selectedLang);
     applyTranslations(translations);
+    // Lo leen el menú de idioma y las reglas de plural/número de formatMessage
+    document.documentElement.lang = selectedLang;
   } catch (error) {
     if (config.DEBUG_MODE) {
       console.error("Error cargando traducciones:", error);
     }
-    displayWarning(getTranslation(translations, "warning_translation_load_failed", "No se pudieron cargar las traducciones"));
+    displayWarning(getTranslation(translations, "warning_translation_load_failed", "No se pudieron cargar las traducciones"), "warning_translation_load_failed");
   }
 
-  let cardData = null;
-  let errorMsg = null;
+  setupLanguageSwitcher(document.getElementById("card_language"), selectedLang);
+  setupMotionToggle(document.getElementById("card_motion_toggle"));
+  window.addEventListener("languageChanged", (event) => {
+    translations = event.detail.translations;
+  });
 
   if (!cardId) {
-    errorMsg = getTranslation(translations, "card_error_message", "Debes escanear la carta 3D para acceder a su experiencia interactiva.");
-  } else {
-    try {
-      const response = await fetch(config.CARDS_DATA_PATH);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      const data = await response.json();
-      cardData = data[cardId];
-      if (!cardData) {
-        errorMsg = getTranslation(translations, "card_error_message", "Debes escanear la carta 3D para acceder a su experiencia interactiva.");
-      }
-    } catch (err) {
-      if (config.DEBUG_MODE) {
-        console.error("Error cargando datos:", err);
-      }
-      errorMsg = getTranslation(translations, "error_loading_data", `Error cargando datos: ${err.message}`);
-    }
-  }
-
-  if (errorMsg) {
-    switchView("error");
-    const errorElement = document.getElementById("card_error_message");
-    if (errorElement) {
-      errorElement.textContent = errorMsg;
-    }
+    showLoadError(new CardLoadError("not_found", "Falta el parámetro id"), translations);
     return;
   }
 
-  // --- Parte 2: Loading real y progresivo ---
-  switchView("loading");
-  
   const loadingMessage = document.getElementById("loading_message");
   const loadingProgress = document.getElementById("loading_progress");
-  const resourcePaths = {
-    model: `${config.MODEL_PATH}${cardData.model}`,
-    video: `${config.VIDEO_PATH}${cardData.video}`,
-    share: `${config.IMAGE_PATH}${cardData.share}`,
-  };
+  const progressRange = config.LOADING_CONFIG?.progressRange || { start: 10, end: 100 };
 
-  try {
-    // Paso 1: Validación rápida (25%)
+  // Estado compartido entre intentos: los datos y la app solo se crean una vez
+  let cardData = null;
+  let authenticity = null;
+  let app = null;
+  const resourcePaths = {};
+
+  // Nivel de calidad de los assets (red, memoria, pantalla o ?quality=)
+  const qualityTiers = config.QUALITY_CONFIG?.tiers || ["low", "high"];
+  const quality = detectQualityTier(config.QUALITY_CONFIG);
+  if (config.DEBUG_MODE) {
+    console.log(`🎚️ Calidad seleccionada: ${quality.tier} (${quality.reason})`);
+  }
+
+  // --- Parte 2: Loading real y progresivo (un intento) ---
+  const loadCard = async (attempt) => {
+    if (config.DEBUG_MODE && attempt > 1) {
+      console.log(`🔁 Intento de carga ${attempt}/${config.RETRY_CONFIG.maxAttempts}`);
+    }
+
+    // Paso 1: Datos de la carta y validación rápida (mitad del tramo previo a la descarga)
     if (loadingMessage) {
       loadingMessage.textContent = getTranslation(translations, "loading_validating", "Verificando recursos...");
     }
     if (loadingProgress) {
-      loadingProgress.style.width = "25%";
+      loadingProgress.style.width = `${progressRange.start / 2}%`;
     }
 
-    const [modelExists, videoExists] = await Promise.all([
-      validateResource(resourcePaths.model, config.RESOURCE_VALIDATION),
-      validateResource(resourcePaths.video, config.RESOURCE_VALIDATION),
+    if (!cardData) {
+      // En modo de autoría se previsualizan los cambios sin guardar y no se exige firma
+      const data = authoring
+        ? authoringTools.applyMergePatch(await fetchCardData(cardId), authoringTools.readAuthoringPatch(cardId) || {})
+        : await fetchCardData(cardId);
+      authenticity = authoring
+        ? { status: "authoring", serial: null, editionSize: data.edition?.size ?? null, printing: null }
+        : await checkCardAuthenticity(cardId, data, params);
+      cardData = data;
+      Object.assign(resourcePaths, {
+        model: null,
+        video: null,
+        videoSources: [],
+        share: `${config.IMAGE_PATH}${cardData.share}`,
+        usdz: cardData.usdz ? `${config.MODEL_PATH}${cardData.usdz}` : null,
+        quality: quality.tier,
+        sizes: {},
+      });
+    }
+
+    // Candidatos por orden de preferencia: nivel elegido primero y el resto como respaldo
+    const modelCandidates = getQualityVariants(cardData.model, quality.tier, qualityTiers)
+      .map(({ tier, value }) => ({ tier, src: `${config.MODEL_PATH}${value}` }));
+
+    const videoElement = document.getElementById("card_video");
+    const videoCandidates = getQualityVariants(cardData.video, quality.tier, qualityTiers)
+      .flatMap(({ tier, value }) => getPlayableVideoSources(
+        normalizeVideoSources(value, config.VIDEO_CONFIG?.mimeTypes)
+          .map(source => ({ ...source, tier, src: `${config.VIDEO_PATH}${source.src}` })),
+        videoElement
+      ));
+
+    // Solo se valida la variante elegida; si falta se prueba la siguiente
+    const [modelUrl, videoUrl] = await Promise.all([
+      findFirstAvailableResource(modelCandidates.map(candidate => candidate.src), isResourceAvailable),
+      findFirstAvailableResource(videoCandidates.map(source => source.src), isResourceAvailable),
     ]);
 
-    if (!modelExists || !videoExists) {
+    if (!modelUrl || !videoUrl) {
       throw new Error("Recursos críticos de la carta (modelo/video) no encontrados.");
     }
 
-    // Paso 2: Crear app y configurar elementos (40%)
+    const modelTier = modelCandidates.find(candidate => candidate.src === modelUrl).tier;
+    const videoIndex = videoCandidates.findIndex(source => source.src === videoUrl);
+    const videoTier = videoCandidates[videoIndex].tier;
+
+    resourcePaths.model = modelUrl;
+    resourcePaths.video = videoUrl;
+    // Como respaldo del <video> solo quedan fuentes del mismo nivel
+    resourcePaths.videoSources = videoCandidates.slice(videoIndex).filter(source => source.tier === videoTier);
+    resourcePaths.sizes = {
+      model: getQualityValue(cardData.size?.model, modelTier || quality.tier, qualityTiers),
+      video: getQualityValue(cardData.size?.video, videoTier || quality.tier, qualityTiers),
+    };
+
+    // Paso 2: Crear app y configurar elementos
     if (loadingMessage) {
       loadingMessage.textContent = getTranslation(translations, "loading_initializing", "Inicializando...");
     }
     if (loadingProgress) {
-      loadingProgress.style.width = "40%";
+      loadingProgress.style.width = `${progressRange.start}%`;
     }
 
-    const app = new CardViewerApp({ cardId, cardData, resourcePaths, translations, lang: selectedLang });
-    await app.initialize();
+    if (!app) {
+      app = new CardViewerApp({ cardId, cardData, authenticity, resourcePaths, translations, lang: selectedLang, autoSnap: !authoring });
+      await app.initialize();
+    }
     
-    // Paso 3: Carga real de recursos (60% - 90%)
+    // Paso 3: Carga real de recursos, con progreso ponderado por bytes
     if (loadingMessage) {
       loadingMessage.textContent = getTranslation(translations, "loading_model", "Cargando modelo 3D...");
     }
-    if (loadingProgress) {
-      loadingProgress.style.width = "60%";
-    }
 
-    // AQUÍ LA MAGIA: Esperamos a que los recursos se carguen realmente
-    await app.waitForResourcesLoaded(loadingProgress, loadingMessage, translations);
+    await app.waitForResourcesLoaded(loadingProgress, loadingMessage);
+  };
+
+  // --- Parte 3: Carga con reintentos automáticos y reintento manual ---
+  const run = async () => {
+    window.removeEventListener("online", run);
+    switchView("loading");
+    announceStatus(getTranslation(translations, "a11y_loading", "Cargando la carta…"));
+
+    try {
+      await retryWithBackoff(loadCard, {
+        ...config.RETRY_CONFIG,
+        shouldRetry: (error) => toCardLoadError(error).transient,
+        onRetry: (error, nextAttempt, delay) => {
+          if (config.DEBUG_MODE) {
+            console.warn(`Carga fallida, reintentando en ${delay}ms:`, error);
+          }
+          if (loadingMessage) {
+            loadingMessage.textContent = getTranslation(translations, "loading_retrying", "Reintentando...");
+          }
+        }
+      });
+    } catch (error) {
+      const loadError = toCardLoadError(error);
+      if (config.DEBUG_MODE) {
+        console.error("Error durante la carga:", loadError);
+      }
+
+      if (loadError.type === "unverified") {
+        showUnverifiedCard();
+        return;
+      }
+
+      showLoadError(loadError, translations, loadError.transient ? run : null);
+
+      // Sin conexión: reintentamos solos en cuanto vuelva la red
+      if (loadError.type === "offline") {
+        window.addEventListener("online", run, { once: true });
+      }
+      return;
+    }
 
     // Paso 4: Finalización (100%)
     if (loadingProgress) {
@@ -171,26 +477,96 @@ const displayInfo = (message) => showNotification(message, config.NOTIFICATION_I
     setTimeout(() => {
       switchView("model");
       app.finalizeInitialization();
-    }, 300);
+      announceStatus(getTranslation(translations, "a11y_ready", "Carta lista. Mantén pulsada la carta, o la barra espaciadora, para ver la animación."));
 
-    if (config.DEBUG_MODE) {
-      window.cardViewerApp = app;
-    }
+      // tools/author.html espera este aviso para acceder a la app y al visor
+      if (authoring && window.parent !== window) {
+        window.parent.postMessage({ type: config.AUTHORING_CONFIG.readyMessage, cardId }, window.location.origin);
+      }
+    }, config.LOADING_CONFIG.finishDelay);
 
-  } catch (error) {
-    if (config.DEBUG_MODE) {
-      console.error("Error durante la carga:", error);
+    // La carta pasa a formar parte de la colección del dispositivo (no al editarla)
+    if (!authoring) {
+      const verified = authenticity.status === "verified";
+      recordCardView(cardId, Date.now(), {
+        serial: verified ? authenticity.serial : undefined,
+        printing: verified ? authenticity.printing ?? undefined : undefined
+      });
     }
-    const friendlyError = getTranslation(translations, "error_resource_load_failed", "No se pudo cargar la carta. Inténtalo de nuevo más tarde.");
-    const errorElement = document.getElementById("card_error_message");
-    if (errorElement) {
-      errorElement.textContent = friendlyError;
+
+    // Primera apertura de la carta: la dejamos disponible sin conexión
+    requestOfflineCache([resourcePaths.model, resourcePaths.video, resourcePaths.share, resourcePaths.usdz, app.viewerSettings.environmentFile]);
+
+    if (config.DEBUG_MODE || authoring) {
+      window.cardViewerApp = app;
     }
-    switchView("error");
-  }
+  };
+
+  registerServiceWorker(config.SERVICE_WORKER_CONFIG);
+  run();
 })();
 
 /* ===================== CLASE PRINCIPAL ===================== */
+// pointerId con el que se registra un hold iniciado desde el teclado
+const KEYBOARD_POINTER_ID = "keyboard";
+
+// Campos de VIEWER_CONFIG y de `viewer` en cards.json → atributo de model-viewer
+const VIEWER_ATTRIBUTES = {
+    cameraOrbit: "camera-orbit",
+    minCameraOrbit: "min-camera-orbit",
+    maxCameraOrbit: "max-camera-orbit",
+    exposure: "exposure",
+    shadowIntensity: "shadow-intensity",
+    environmentImage: "environment-image",
+    toneMapping: "tone-mapping"
+};
+
+// Valores de environment-image que model-viewer resuelve por sí mismo (no son archivos)
+const BUILTIN_ENVIRONMENTS = ["neutral", "legacy"];
+
+/**
+ * Ajustes del visor de una carta: VIEWER_CONFIG y ROTATION_CONFIG con lo que
+ * defina `viewer` en cards.json encima
+ */
+function resolveViewerSettings(cardData) {
+    const overrides = cardData?.viewer || {};
+    const settings = { ...config.VIEWER_CONFIG, ...overrides };
+    const phi = parseOrbitAngle(settings.cameraOrbit, 1);
+    const environmentFile = settings.environmentImage && !BUILTIN_ENVIRONMENTS.includes(settings.environmentImage)
+        ? `${config.MODEL_PATH}${settings.environmentImage}`
+        : null;
+
+    return {
+        ...settings,
+        environmentImage: environmentFile || settings.environmentImage,
+        environmentFile,
+        // Límites en grados para el giro por inclinación (null: los de model-viewer)
+        limits: {
+            minTheta: parseOrbitAngle(settings.minCameraOrbit, 0),
+            maxTheta: parseOrbitAngle(settings.maxCameraOrbit, 0),
+            minPhi: parseOrbitAngle(settings.minCameraOrbit, 1),
+            maxPhi: parseOrbitAngle(settings.maxCameraOrbit, 1)
+        },
+        rotation: {
+            ...config.ROTATION_CONFIG,
+            snapAngles: overrides.snapAngles || config.ROTATION_CONFIG.snapAngles,
+            defaultPhi: phi ?? config.ROTATION_CONFIG.defaultPhi
+        }
+    };
+}
+
+/**
+ * Ángulo en grados de una órbita "theta phi radio" (null si es auto u otra unidad)
+ */
+function parseOrbitAngle(orbit, index) {
+    const match = /^(-?\d+(?:\.\d+)?)(deg|rad)$/.exec(String(orbit || "").trim().split(/\s+/)[index] || "");
+    if (!match) {
+        return null;
+    }
+    const value = Number(match[1]);
+    return match[2] === "rad" ? value * 180 / Math.PI : value;
+}
+
 class CardViewerApp {
     constructor(options) {
         Object.assign(this, options);
@@ -201,9 +577,22 @@ class CardViewerApp {
             indicator: document.getElementById("card_hold_indicator"),
             particlesContainer: document.getElementById("card_particles_container"),
             skipButton: document.getElementById("card_skip_button"),
+            videoPlayButton: document.getElementById("card_video_play"),
+            playButton: document.getElementById("card_play_button"),
             shareButton: document.getElementById("card_share_button"),
+            arButton: document.getElementById("card_ar_button"),
             logo: document.getElementById("card_logo"),
             title: document.getElementById("card_title"),
+            serial: document.getElementById("card_serial"),
+            details: document.getElementById("card_details"),
+            detailsList: document.getElementById("card_details_list"),
+            description: document.getElementById("card_description"),
+            hotspotPopover: document.getElementById("card_hotspot_popover"),
+            hotspotTitle: document.getElementById("card_hotspot_title"),
+            hotspotBody: document.getElementById("card_hotspot_body"),
+            hotspotClose: document.getElementById("card_hotspot_close"),
+            variants: document.getElementById("card_variants"),
+            tiltButton: document.getElementById("card_tilt_toggle"),
         };
         
         // Validación de elementos requeridos
@@ -218,7 +607,11 @@ class CardViewerApp {
             isHolding: false,
             activePointerId: null,
             interactionLocked: false,
-            isDragging: false
+            isDragging: false,
+            arActive: false,
+            openHotspot: null,
+            // Impresión elegida; la primera vez, la de la URL
+            printing: this.authenticity?.printing ?? null
         };
         
         this.interaction = {
@@ -226,7 +619,31 @@ class CardViewerApp {
             lastInteractionTime: 0
         };
         
+        this.ar = {
+            platform: null,
+            modes: null,
+            sessionMode: null,
+            pendingExternal: false
+        };
+        
         this.timers = new Map();
+        // Estado de la descarga del .glb: null | "loading" | "loaded" | "error"
+        this.modelLoadState = null;
+        this.viewerSettings = resolveViewerSettings(this.cardData);
+        // Impresiones con variante en el modelo que se pueden elegir (se calculan al cargarlo)
+        this.unlockedPrintings = [];
+        
+        // Giro por inclinación: el tracker guarda la calibración y la órbita aplicada
+        this.tilt = {
+            enabled: false,
+            tracker: new TiltTracker(config.TILT_CONFIG, {
+                onUnavailable: () => {
+                    this.setTiltEnabled(false);
+                    displayWarning(this.getText("tilt_unavailable", "Este dispositivo no informa su inclinación"), "tilt_unavailable");
+                }
+            }),
+            listener: (event) => this.handleOrientation(event)
+        };
         this.progress = {
             startTime: 0,
             totalTime: config.VIDEO_ACTIVATION_DELAY
@@ -259,69 +676,157 @@ class CardViewerApp {
     async initialize() {
         // Solo configuración básica, sin esperar recursos
         this.setupModelViewerEvents();
+        this.setupVideoErrorHandling();
     }
 
     /**
-     * NUEVO: Espera a que los recursos se carguen realmente
-     * Usa eventos nativos del model-viewer y video para progreso real
+     * Espera a que los recursos se carguen realmente.
+     * El progreso combina el evento `progress` del model-viewer y los rangos
+     * `buffered` del video, ponderados por el tamaño declarado en cards.json.
+     * El timeout cuenta desde el último avance: una conexión lenta que sigue
+     * recibiendo datos no se da por fallida.
      */
-    async waitForResourcesLoaded(progressBar, messageEl, translations) {
+    async waitForResourcesLoaded(progressBar, messageEl) {
         return new Promise((resolve, reject) => {
             let modelLoaded = false;
             let videoLoaded = false;
             
+            const { viewer, video } = this.elements;
+            const aggregator = this.createLoadingAggregator(progressBar, messageEl);
+            
+            let modelProgress = 0;
+            let videoProgress = 0;
+            
+            const cleanup = () => {
+                this.clearTimer('resourceTimeout');
+                viewer.removeEventListener('progress', onModelProgress);
+                viewer.removeEventListener('load', onModelLoad);
+                viewer.removeEventListener('error', onModelError);
+                video.removeEventListener('progress', onVideoProgress);
+                video.removeEventListener('canplaythrough', onVideoLoad);
+                video.removeEventListener('error', onVideoError);
+            };
+            
             const checkCompletion = () => {
                 if (modelLoaded && videoLoaded) {
+                    cleanup();
                     resolve();
                 }
             };
 
-            // Setup inicial de elementos
-            this.setupCardContent();
-            this.setupVideoErrorHandling();
+            // Listeners del modelo 3D
+            const onModelProgress = (event) => {
+                const progress = event.detail?.totalProgress ?? 0;
+                aggregator.update('model', progress);
+                if (progress > modelProgress) {
+                    modelProgress = progress;
+                    armTimeout();
+                }
+            };
 
-            // Listener para el modelo 3D
             const onModelLoad = () => {
-                if (progressBar) progressBar.style.width = "80%";
-                if (messageEl) messageEl.textContent = getTranslation(translations, "loading_video", "Cargando video...");
+                aggregator.complete('model');
                 modelLoaded = true;
                 checkCompletion();
             };
 
-            const onModelError = (error) => {
-                this.elements.viewer.removeEventListener('load', onModelLoad);
-                this.elements.viewer.removeEventListener('error', onModelError);
+            const onModelError = () => {
+                cleanup();
                 reject(new Error('Error cargando modelo 3D'));
             };
 
-            // Listener para el video
+            // Listeners del video
+            const onVideoProgress = () => {
+                const progress = getBufferedFraction(video);
+                aggregator.update('video', progress);
+                if (progress > videoProgress) {
+                    videoProgress = progress;
+                    armTimeout();
+                }
+            };
+
             const onVideoLoad = () => {
-                if (progressBar) progressBar.style.width = "90%";
-                if (messageEl) messageEl.textContent = getTranslation(translations, "loading_finalizing", "Finalizando...");
+                aggregator.complete('video');
                 videoLoaded = true;
                 checkCompletion();
             };
 
             const onVideoError = () => {
-                this.elements.video.removeEventListener('canplaythrough', onVideoLoad);
-                this.elements.video.removeEventListener('error', onVideoError);
                 // El video no es crítico, continuamos
-                videoLoaded = true;
-                checkCompletion();
+                onVideoLoad();
             };
 
-            // Configurar listeners
-            this.elements.viewer.addEventListener('load', onModelLoad, { once: true });
-            this.elements.viewer.addEventListener('error', onModelError, { once: true });
-            this.elements.video.addEventListener('canplaythrough', onVideoLoad, { once: true });
-            this.elements.video.addEventListener('error', onVideoError, { once: true });
+            // Los listeners se registran antes de asignar los `src` para no perder eventos
+            viewer.addEventListener('progress', onModelProgress);
+            viewer.addEventListener('load', onModelLoad, { once: true });
+            viewer.addEventListener('error', onModelError, { once: true });
+            video.addEventListener('progress', onVideoProgress);
+            video.addEventListener('canplaythrough', onVideoLoad, { once: true });
+            video.addEventListener('error', onVideoError, { once: true });
 
-            // Timeout de seguridad (10 segundos)
-            setTimeout(() => {
+            // Timeout de seguridad: se reinicia con cada avance de la descarga
+            const armTimeout = () => this.setTimer('resourceTimeout', () => {
                 if (!modelLoaded || !videoLoaded) {
+                    cleanup();
                     reject(new Error('Timeout cargando recursos'));
                 }
-            }, 10000);
+            }, config.LOADING_CONFIG.resourceTimeout);
+
+            // Setup inicial de elementos
+            this.setupCardContent();
+            armTimeout();
+
+            // Reintento con el modelo ya cargado (falló el video): no habrá otro `load`
+            if (this.modelLoadState === 'loaded') {
+                viewer.removeEventListener('load', onModelLoad);
+                onModelLoad();
+            }
+        });
+    }
+
+    /**
+     * Crea el agregador de progreso de carga y lo conecta con la barra y el mensaje.
+     * Las actualizaciones se agrupan por frame para no saturar el DOM.
+     * Los textos salen de this.translations para seguir un cambio de idioma durante la carga.
+     */
+    createLoadingAggregator(progressBar, messageEl) {
+        const range = config.LOADING_CONFIG?.progressRange || { start: 10, end: 100 };
+        const defaults = config.LOADING_CONFIG?.defaultSizes || {};
+        const sizes = this.resourcePaths.sizes || {};
+        let modelDone = false;
+        let latest = null;
+
+        const render = () => {
+            this.timers.delete('loadingRender');
+            if (!latest) {
+                return;
+            }
+            
+            const percent = Math.round(latest.progress * 100);
+            if (progressBar) {
+                progressBar.style.width = `${range.start + (range.end - range.start) * latest.progress}%`;
+            }
+            if (messageEl) {
+                const stage = !modelDone
+                    ? this.getText("loading_model", "Cargando modelo 3D...")
+                    : latest.progress < 1
+                        ? this.getText("loading_video", "Preparando video...")
+                        : this.getText("loading_finalizing", "Finalizando...");
+                messageEl.textContent = latest.progress < 1 ? `${stage} ${percent}%` : stage;
+            }
+        };
+
+        return createProgressAggregator({
+            model: sizes.model || defaults.model,
+            video: sizes.video || defaults.video
+        }, (update) => {
+            if (update.resource === 'model' && update.fraction >= 1) {
+                modelDone = true;
+            }
+            latest = update;
+            if (!this.timers.has('loadingRender')) {
+                this.timers.set('loadingRender', requestAnimationFrame(render));
+            }
         });
     }
 
@@ -339,15 +844,65 @@ class CardViewerApp {
         if (this.elements.title) {
             this.elements.title.textContent = title;
         }
+        this.renderSerial();
+        this.renderDetails();
+        this.renderHotspots();
         if (this.elements.viewer) {
-            this.elements.viewer.setAttribute("src", this.resourcePaths.model);
+            this.applyViewerSettings();
+            this.setupARMode();
+            this.loadModel();
         }
         if (this.elements.video) {
-            this.elements.video.src = this.resourcePaths.video;
+            this.setupVideoSources();
         }
         this.updateDynamicTexts();
     }
     
+    /**
+     * Asigna el modelo al visor. En un reintento la descarga anterior se
+     * conserva si sigue en curso o ya terminó (volver a asignar el src la
+     * empezaría de cero); solo se fuerza una nueva si falló o cambió el archivo.
+     */
+    loadModel() {
+        const viewer = this.elements.viewer;
+        const sameModel = viewer.getAttribute("src") === this.resourcePaths.model;
+        if (sameModel && (this.modelLoadState === "loading" || this.modelLoadState === "loaded")) {
+            return;
+        }
+        
+        this.modelLoadState = "loading";
+        viewer.removeAttribute("src");
+        viewer.setAttribute("src", this.resourcePaths.model);
+    }
+    
+    /**
+     * Crea los elementos <source> del video con la variante validada en primer lugar.
+     * Con <source> el navegador emite `error` en la última fuente y no en el <video>,
+     * así que lo reenviamos para que los listeners existentes sigan funcionando.
+     */
+    setupVideoSources() {
+        const video = this.elements.video;
+        const sources = this.resourcePaths.videoSources?.length
+            ? this.resourcePaths.videoSources
+            : [{ src: this.resourcePaths.video, type: "" }];
+        
+        video.removeAttribute("src");
+        video.replaceChildren(...sources.map(({ src, type }) => {
+            const source = document.createElement("source");
+            source.src = src;
+            if (type) {
+                source.type = type;
+            }
+            return source;
+        }));
+        
+        video.lastElementChild.addEventListener("error", () => {
+            video.dispatchEvent(new Event("error"));
+        });
+        
+        video.load();
+    }
+    
     updateDynamicTexts() {
         if (this.elements.skipButton) {
             this.elements.skipButton.textContent = this.getText("video_skip", "Skip");
@@ -355,22 +910,211 @@ class CardViewerApp {
         document.title = this.getText("page_card_title", "Super X Card");
     }
     
+    /**
+     * Muestra "042 / 500" en la caja de información si la copia está verificada
+     */
+    renderSerial() {
+        const element = this.elements.serial;
+        if (!element) {
+            return;
+        }
+
+        const { serial, editionSize } = this.authenticity || {};
+        const visible = Boolean(serial && editionSize);
+        element.classList.toggle("hidden", !visible);
+        if (!visible) {
+            return;
+        }
+
+        const formatted = formatSerial(serial, editionSize);
+        element.textContent = `${formatted} / ${editionSize}`;
+        element.setAttribute("aria-label", this.formatText("card_serial_label", "Copia {serial} de {total}", {
+            serial: formatted,
+            total: editionSize
+        }));
+    }
+    
+    /**
+     * Rellena el panel plegable con la descripción y las filas de la ficha;
+     * se oculta entero si la carta no tiene ninguno de esos campos
+     */
+    renderDetails() {
+        const { details, detailsList, description } = this.elements;
+        if (!details || !detailsList) {
+            return;
+        }
+        
+        const rows = getCardInfoRows(this.cardData, this.translations, this.lang);
+        const { description: text, rarity } = getCardInfo(this.cardData, this.lang);
+        
+        detailsList.replaceChildren(...rows.flatMap(({ field, label, value }) => {
+            const term = document.createElement("dt");
+            term.textContent = label;
+            const definition = document.createElement("dd");
+            definition.textContent = value;
+            if (field === "rarity") {
+                definition.dataset.rarity = rarity;
+            }
+            return [term, definition];
+        }));
+        
+        if (description) {
+            description.textContent = text || "";
+            description.classList.toggle("hidden", !text);
+        }
+        
+        details.classList.toggle("hidden", !rows.length && !text);
+    }
+    
     getLocalizedTitle() {
-        const { title } = this.cardData;
-        return (title && (title[this.lang] || title[config.DEFAULT_LANG])) || 
+        return getLocalizedValue(this.cardData.title, this.lang) ||
                this.getText("card_title_fallback", "Unknown Card");
     }
     
+    /**
+     * Cámara, límites de órbita, iluminación y ángulos de snap de la carta.
+     * Se llama antes de asignar el src para que el modelo ya cargue con ellos.
+     */
+    applyViewerSettings() {
+        const viewer = this.elements.viewer;
+        this.viewerSettings = resolveViewerSettings(this.cardData);
+        
+        Object.entries(VIEWER_ATTRIBUTES).forEach(([field, attribute]) => {
+            const value = this.viewerSettings[field];
+            if (value === null || value === undefined) {
+                viewer.removeAttribute(attribute);
+            } else {
+                viewer.setAttribute(attribute, String(value));
+            }
+        });
+    }
+    
+    /* ===================== HOTSPOTS ===================== */
+    
+    /**
+     * Crea un botón por hotspot de cards.json en los slots de model-viewer.
+     * model-viewer marca con data-visible los que miran a la cámara.
+     */
+    renderHotspots() {
+        const viewer = this.elements.viewer;
+        if (!viewer) {
+            return;
+        }
+        
+        const openId = this.state.openHotspot;
+        viewer.querySelectorAll(".card-hotspot").forEach(button => button.remove());
+        
+        const hotspots = getCardHotspots(this.cardData, this.lang);
+        hotspots.forEach((hotspot, index) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "card-hotspot";
+            button.slot = `hotspot-${hotspot.id}`;
+            button.dataset.hotspotId = hotspot.id;
+            button.dataset.position = hotspot.position;
+            if (hotspot.normal) {
+                button.dataset.normal = hotspot.normal;
+            }
+            button.dataset.visibilityAttribute = "visible";
+            button.textContent = String(index + 1);
+            button.setAttribute("aria-label", this.formatText("hotspot_aria", "Anotación: {label}", { label: hotspot.label }));
+            button.setAttribute("aria-haspopup", "dialog");
+            button.setAttribute("aria-controls", "card_hotspot_popover");
+            button.setAttribute("aria-expanded", "false");
+            button.addEventListener("click", () => {
+                if (this.state.openHotspot === hotspot.id) {
+                    this.closeHotspot();
+                } else {
+                    this.openHotspot(hotspot, button);
+                }
+            });
+            viewer.append(button);
+        });
+        
+        // Tras un cambio de idioma la anotación abierta se vuelve a mostrar traducida
+        const reopened = hotspots.find(hotspot => hotspot.id === openId);
+        if (reopened) {
+            this.openHotspot(reopened, viewer.querySelector(`[data-hotspot-id="${openId}"]`), { focus: false });
+        } else if (openId) {
+            this.closeHotspot({ restoreFocus: false });
+        }
+    }
+    
+    /**
+     * Muestra la anotación de un hotspot y lleva el foco a su título
+     */
+    openHotspot(hotspot, button, { focus = true } = {}) {
+        const { hotspotPopover, hotspotTitle, hotspotBody } = this.elements;
+        if (!hotspotPopover || !hotspotTitle) {
+            return;
+        }
+        
+        this.elements.viewer.querySelectorAll(".card-hotspot").forEach(element => {
+            element.setAttribute("aria-expanded", String(element === button));
+        });
+        
+        hotspotTitle.textContent = hotspot.label;
+        if (hotspotBody) {
+            hotspotBody.textContent = hotspot.body || "";
+            hotspotBody.classList.toggle("hidden", !hotspot.body);
+        }
+        hotspotPopover.classList.remove("hidden");
+        this.state.openHotspot = hotspot.id;
+        
+        // El snap giraría la carta y dejaría el hotspot de espaldas mientras se lee
+        this.clearTimer("autoSnap");
+        
+        if (focus) {
+            hotspotTitle.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Cierra la anotación abierta; por defecto el foco vuelve a su hotspot
+     */
+    closeHotspot({ restoreFocus = true } = {}) {
+        const openId = this.state.openHotspot;
+        if (!openId) {
+            return;
+        }
+        
+        this.state.openHotspot = null;
+        this.elements.hotspotPopover?.classList.add("hidden");
+        
+        const button = this.elements.viewer.querySelector(`[data-hotspot-id="${openId}"]`);
+        button?.setAttribute("aria-expanded", "false");
+        if (restoreFocus) {
+            button?.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Un toque fuera de la anotación y de los hotspots la cierra
+     */
+    handleOutsidePointer(event) {
+        if (!this.state.openHotspot) {
+            return;
+        }
+        if (event.target.closest?.(".card-hotspot, #card_hotspot_popover")) {
+            return;
+        }
+        this.closeHotspot({ restoreFocus: false });
+    }
+    
     getText(translationKey, fallback = "") {
         return getTranslation(this.translations, translationKey, fallback);
     }
     
+    formatText(translationKey, fallback, params) {
+        return formatTranslation(this.translations, translationKey, params, { fallback, lang: this.lang });
+    }
+    
     setupVideoErrorHandling() {
         this.elements.video.addEventListener("error", () => {
             if (config.DEBUG_MODE) {
                 console.error("Error cargando video:", this.resourcePaths.video);
             }
-            displayWarning(this.getText("warning_video_unavailable", "Video no disponible"));
+            displayWarning(this.getText("warning_video_unavailable", "Video no disponible"), "warning_video_unavailable");
         });
     }
 
@@ -380,16 +1124,235 @@ class CardViewerApp {
             if (config.DEBUG_MODE) {
                 console.log("Modelo 3D cargado exitosamente");
             }
+            this.modelLoadState = "loaded";
+            this.setupVariants();
         });
         
         this.elements.viewer.addEventListener("error", (event) => {
+            this.modelLoadState = "error";
             if (config.DEBUG_MODE) {
                 console.error("Error en model-viewer:", event);
             }
-            displayError(this.getText("error_model_load_failed", "Error al cargar el modelo 3D"));
+            displayError(this.getText("error_model_load_failed", "Error al cargar el modelo 3D"), "error_model_load_failed");
+        });
+    }
+
+    /* ===================== IMPRESIONES (VARIANTES DE MATERIAL) ===================== */
+
+    /**
+     * Cruza las impresiones de cards.json con las variantes KHR_materials_variants
+     * del modelo. Se pueden elegir las desbloqueadas en este dispositivo y la de
+     * la URL verificada; en modo de autoría, todas.
+     */
+    setupVariants() {
+        const viewer = this.elements.viewer;
+        const available = viewer.availableVariants || [];
+        const authoring = this.authenticity?.status === "authoring";
+        const unlocked = new Set([...getUnlockedPrintings(this.cardId), this.authenticity?.printing]);
+
+        this.unlockedPrintings = getCardPrintings(this.cardData, this.lang)
+            .filter(printing => available.includes(printing.variant) && (authoring || unlocked.has(printing.id)))
+            .map(printing => printing.id);
+
+        if (config.DEBUG_MODE && this.authenticity?.printing && !this.unlockedPrintings.includes(this.authenticity.printing)) {
+            console.warn(`El modelo no tiene la variante de la impresión "${this.authenticity.printing}"`);
+        }
+
+        const selected = this.state.printing;
+        this.selectPrinting(this.unlockedPrintings.includes(selected) ? selected : null);
+        this.renderVariantSelector();
+    }
+
+    /**
+     * Aplica la variante de una impresión (null: materiales por defecto del modelo)
+     */
+    selectPrinting(printingId) {
+        const printing = getCardPrintings(this.cardData, this.lang).find(entry => entry.id === printingId);
+        this.state.printing = printing ? printing.id : null;
+        this.elements.viewer.variantName = printing ? printing.variant : null;
+    }
+
+    /**
+     * Selector de impresión bajo el título: solo aparece si hay alguna especial desbloqueada
+     */
+    renderVariantSelector() {
+        const container = this.elements.variants;
+        if (!container) {
+            return;
+        }
+
+        container.querySelectorAll(".variant-option").forEach(option => option.remove());
+
+        const printings = getCardPrintings(this.cardData, this.lang)
+            .filter(printing => this.unlockedPrintings.includes(printing.id));
+        container.classList.toggle("hidden", !printings.length);
+        if (!printings.length) {
+            return;
+        }
+
+        const options = [{ id: null, label: this.getText("variant_regular", "Normal") }, ...printings];
+        options.forEach(option => {
+            const label = document.createElement("label");
+            label.className = "variant-option";
+
+            const input = document.createElement("input");
+            input.type = "radio";
+            input.name = "card_variant";
+            input.value = option.id || "";
+            input.checked = option.id === this.state.printing;
+            input.addEventListener("change", () => this.selectPrinting(option.id));
+
+            const text = document.createElement("span");
+            text.textContent = option.label;
+
+            label.append(input, text);
+            container.append(label);
         });
     }
 
+    /* ===================== REALIDAD AUMENTADA ===================== */
+
+    /**
+     * Configura los atributos AR del model-viewer según la plataforma.
+     * Debe ejecutarse antes de asignar el `src` del modelo.
+     */
+    setupARMode() {
+        if (!config.AR_CONFIG?.enabled) {
+            return;
+        }
+
+        const viewer = this.elements.viewer;
+        this.ar.platform = detectPlatform();
+        this.ar.modes = getARModesForPlatform(this.ar.platform, config.AR_CONFIG);
+
+        viewer.setAttribute("ar", "");
+        viewer.setAttribute("ar-modes", this.ar.modes);
+        viewer.setAttribute("ar-placement", config.AR_CONFIG.placement || "floor");
+        viewer.setAttribute("ar-scale", config.AR_CONFIG.scale || "auto");
+
+        // Quick Look necesita un USDZ; si la carta no lo trae, model-viewer lo genera desde el GLB
+        if (this.resourcePaths.usdz) {
+            viewer.setAttribute("ios-src", this.resourcePaths.usdz);
+        }
+
+        this.elements.arButton?.classList.remove("hidden");
+
+        if (config.DEBUG_MODE) {
+            console.log(`🕶️ AR configurado (${this.ar.platform}): ${this.ar.modes}`);
+        }
+    }
+
+    /**
+     * Lanza la experiencia AR o muestra el mensaje de fallback si no está soportada
+     */
+    async handleARButton() {
+        if (!config.AR_CONFIG?.enabled ||
+            this.state.current !== "model" ||
+            this.state.interactionLocked ||
+            this.state.arActive) {
+            return;
+        }
+
+        const viewer = this.elements.viewer;
+        if (!viewer.canActivateAR) {
+            displayInfo(this.getText("ar_not_supported", "La realidad aumentada no está disponible en este dispositivo"), "ar_not_supported");
+            return;
+        }
+
+        try {
+            this.resetHoldState();
+            this.clearTimer("autoSnap");
+            // Scene Viewer y Quick Look abren una app externa sin emitir `ar-status`:
+            // si la página se oculta antes de recibir una sesión WebXR, la damos por iniciada
+            this.ar.pendingExternal = true;
+            // Si activateAR() cae en silencio a otro modo sin salir de la página, se descarta
+            this.setTimer("arPendingExternal", () => {
+                this.ar.pendingExternal = false;
+            }, config.AR_CONFIG.externalLaunchTimeout);
+            await viewer.activateAR();
+        } catch (error) {
+            this.clearTimer("arPendingExternal");
+            this.ar.pendingExternal = false;
+            if (config.DEBUG_MODE) {
+                console.error("Error activando AR:", error);
+            }
+            displayError(this.getText("ar_failed", "No se pudo iniciar la realidad aumentada"), "ar_failed");
+        }
+    }
+
+    /**
+     * Traduce el evento `ar-status` de model-viewer (WebXR) a eventos de sesión
+     */
+    handleARStatus(event) {
+        const status = event.detail?.status;
+
+        if (status === "session-started") {
+            this.startARSession("webxr");
+        } else if (status === "not-presenting") {
+            this.endARSession();
+        } else if (status === "failed") {
+            this.endARSession();
+            displayError(this.getText("ar_failed", "No se pudo iniciar la realidad aumentada"), "ar_failed");
+        }
+    }
+
+    /**
+     * Detecta la salida y el regreso de las apps AR externas (Scene Viewer / Quick Look)
+     */
+    handleARVisibilityChange() {
+        if (!this.ar.pendingExternal && !this.state.arActive) {
+            return;
+        }
+
+        if (document.visibilityState === "hidden" && this.ar.pendingExternal) {
+            this.ar.pendingExternal = false;
+            this.startARSession(this.ar.platform === "ios" ? "quick-look" : "scene-viewer");
+        } else if (document.visibilityState === "visible" && this.state.arActive) {
+            this.endARSession();
+        }
+    }
+
+    startARSession(mode) {
+        if (this.state.arActive) {
+            return;
+        }
+
+        this.state.arActive = true;
+        this.ar.pendingExternal = false;
+        this.ar.sessionMode = mode;
+        this.state.current = "ar";
+        this.clearAllTimers();
+
+        if (config.DEBUG_MODE) {
+            console.log(`🕶️ Sesión AR iniciada (${mode})`);
+        }
+
+        window.dispatchEvent(new CustomEvent("arSessionStarted", {
+            detail: { cardId: this.cardId, mode }
+        }));
+    }
+
+    endARSession() {
+        if (!this.state.arActive) {
+            return;
+        }
+
+        const mode = this.ar.sessionMode;
+        this.state.arActive = false;
+        this.ar.sessionMode = null;
+        this.state.current = "model";
+        this.resetHoldState();
+        this.scheduleAutoSnap();
+
+        if (config.DEBUG_MODE) {
+            console.log(`🕶️ Sesión AR finalizada (${mode})`);
+        }
+
+        window.dispatchEvent(new CustomEvent("arSessionEnded", {
+            detail: { cardId: this.cardId, mode }
+        }));
+    }
+
     /* ===================== GESTIÓN DE ESTADOS (REFACTORIZADO) ===================== */
     
     /**
@@ -405,30 +1368,60 @@ class CardViewerApp {
         }
         
         this.resetHoldState();
+        this.closeHotspot({ restoreFocus: false });
         this.state.current = "transitioning";
         this.state.interactionLocked = true;
         this.clearAllTimers();
 
+        // Con movimiento reducido el video no arranca solo: se espera a que el usuario lo confirme
+        const confirmPlayback = isReducedMotion();
+        this.elements.videoPlayButton?.classList.toggle("hidden", !confirmPlayback);
+
         // 1. Simplemente cambiamos a la vista de video. El CSS se encarga del fade.
         switchView("video");
         this.elements.logo.classList.add("hidden");
 
         // 2. Esperamos a que la transición termine para empezar a reproducir.
         this.setTimer("videoPlayback", () => {
-            const playPromise = this.elements.video.play();
-            if (playPromise) {
-                playPromise.catch(error => {
-                    if (config.DEBUG_MODE) {
-                        console.error("Error reproduciendo video:", error);
-                    }
-                    displayWarning(this.getText("warning_video_playback", "Error de reproducción"));
-                });
-            }
             this.state.current = "video";
             this.state.interactionLocked = false;
+            if (confirmPlayback && this.elements.videoPlayButton) {
+                announceStatus(this.getText("a11y_video_confirm", "Pulsa Reproducir para ver la animación, o Escape para volver."));
+            } else {
+                this.playVideo();
+            }
         }, config.FADE_DURATION); // Usamos la misma duración que la transición CSS
     }
 
+    /**
+     * Reproduce el video de la vista de video (automático o tras la confirmación)
+     */
+    playVideo() {
+        if (this.state.current !== "video") {
+            return;
+        }
+        
+        const playButton = this.elements.videoPlayButton;
+        if (playButton && !playButton.classList.contains("hidden")) {
+            const hadFocus = playButton === document.activeElement;
+            playButton.classList.add("hidden");
+            if (hadFocus) {
+                this.elements.skipButton?.focus({ preventScroll: true });
+            }
+        }
+        
+        const playPromise = this.elements.video.play();
+        if (playPromise) {
+            playPromise.catch(error => {
+                if (config.DEBUG_MODE) {
+                    console.error("Error reproduciendo video:", error);
+                }
+                displayWarning(this.getText("warning_video_playback", "Error de reproducción"), "warning_video_playback");
+            });
+        }
+        announceStatus(this.getText("a11y_video_playing", "Reproduciendo animación. Pulsa Escape para saltarla."));
+    }
+
     /**
      * Transición de vuelta a la vista del modelo.
      * Lógica también simplificada.
@@ -448,10 +1441,12 @@ class CardViewerApp {
         // 1. Detenemos el video inmediatamente.
         this.elements.video.pause();
         this.elements.video.currentTime = 0;
+        this.elements.videoPlayButton?.classList.add("hidden");
 
         // 2. Cambiamos a la vista del modelo. El CSS se encarga del fade.
         switchView("model");
         this.elements.logo.classList.remove("hidden");
+        announceStatus(this.getText("a11y_video_ended", "Animación terminada"));
         
         // 3. Esperamos a que la transición termine para restaurar el estado y la interacción.
         this.setTimer("modelTransitionEnd", () => {
@@ -464,6 +1459,10 @@ class CardViewerApp {
 
     /* ===================== SISTEMA DE INTERACCIÓN ===================== */
     startHoldDetection(event) {
+        // Tocar un hotspot abre su anotación, no inicia el hold
+        if (event.target?.closest?.(".card-hotspot")) {
+            return;
+        }
         if (this.state.activePointerId !== null || 
             this.state.current !== 'model' || 
             this.state.interactionLocked) {
@@ -489,6 +1488,56 @@ class CardViewerApp {
         }, config.HOLD_DURATION);
     }
     
+    /**
+     * Espacio o Enter con el visor enfocado equivalen a mantener pulsada la carta.
+     * Se reutiliza la detección de hold con un pointerId propio y el centro del visor
+     * como posición (para las partículas).
+     */
+    handleViewerKeyDown(event) {
+        // Enter/Espacio sobre un hotspot lo activan; no cuentan como hold
+        if (event.target !== this.elements.viewer ||
+            !config.ACCESSIBILITY_CONFIG.holdKeys.includes(event.key)) {
+            return;
+        }
+        event.preventDefault(); // Evita el scroll con Espacio
+        if (event.repeat) {
+            return;
+        }
+        
+        const rect = this.elements.viewer.getBoundingClientRect();
+        this.startHoldDetection({
+            pointerId: KEYBOARD_POINTER_ID,
+            clientX: rect.left + rect.width / 2,
+            clientY: rect.top + rect.height / 2
+        });
+    }
+    
+    handleViewerKeyUp(event) {
+        if (config.ACCESSIBILITY_CONFIG.holdKeys.includes(event.key)) {
+            this.endHoldDetection({ pointerId: KEYBOARD_POINTER_ID });
+        }
+    }
+    
+    /**
+     * Escape cierra la anotación abierta, salta el video o cancela un hold en curso
+     */
+    handleSkipKey(event) {
+        if (event.key !== config.ACCESSIBILITY_CONFIG.skipKey) {
+            return;
+        }
+        
+        if (this.state.openHotspot) {
+            event.preventDefault();
+            this.closeHotspot();
+        } else if (this.state.current === "video") {
+            event.preventDefault();
+            this.returnToModel();
+        } else if (this.state.activePointerId !== null) {
+            event.preventDefault();
+            this.endHoldDetection({ pointerId: this.state.activePointerId });
+        }
+    }
+    
     updateHoldDetection(event) {
         if (event.pointerId !== this.state.activePointerId || this.state.isHolding) {
             return;
@@ -532,8 +1581,99 @@ class CardViewerApp {
         this.interaction.lastInteractionTime = Date.now();
     }
     
+    /* ===================== GIRO POR INCLINACIÓN ===================== */
+    
+    /**
+     * Activa o desactiva el giro por inclinación. Debe llamarse desde el click
+     * del botón para que iOS muestre su petición de permiso.
+     * @returns {Promise<boolean>} Estado final del modo
+     */
+    async setTiltEnabled(enabled) {
+        if (enabled === this.tilt.enabled) {
+            return enabled;
+        }
+        
+        if (enabled && await requestTiltPermission() !== "granted") {
+            displayWarning(this.getText("tilt_permission_denied", "No se concedió acceso a los sensores de movimiento"), "tilt_permission_denied");
+            return false;
+        }
+        
+        this.tilt.enabled = enabled;
+        this.resetTiltCalibration();
+        this.elements.tiltButton?.setAttribute("aria-pressed", String(enabled));
+        
+        if (enabled) {
+            // Un snap pendiente movería la carta justo después de calibrar
+            this.clearTimer("autoSnap");
+            window.addEventListener("deviceorientation", this.tilt.listener);
+            announceStatus(this.getText("a11y_tilt_on", "Giro por inclinación activado. Inclina el dispositivo para girar la carta."));
+        } else {
+            window.removeEventListener("deviceorientation", this.tilt.listener);
+            this.tilt.tracker.stop();
+            this.scheduleAutoSnap();
+            announceStatus(this.getText("a11y_tilt_off", "Giro por inclinación desactivado"));
+        }
+        
+        return enabled;
+    }
+    
+    /**
+     * La próxima lectura pasa a ser la posición neutra; `base` es la órbita que le
+     * corresponde (por defecto, la que tenga la cámara en ese momento)
+     */
+    resetTiltCalibration(base = null) {
+        this.tilt.tracker.reset(base);
+    }
+    
+    /**
+     * La inclinación se pausa mientras el dedo o el teclado controlan la carta,
+     * con una anotación abierta y fuera de la vista del modelo
+     */
+    isTiltActive() {
+        return this.tilt.enabled &&
+            this.state.current === "model" &&
+            this.state.activePointerId === null &&
+            !this.state.interactionLocked &&
+            !this.state.openHotspot &&
+            !this.state.arActive &&
+            !document.hidden;
+    }
+    
+    /**
+     * Lectura de DeviceOrientationEvent (o un evento sintético con beta y gamma)
+     */
+    handleOrientation(event) {
+        const orbit = this.tilt.tracker.update(event, {
+            screenAngle: getScreenAngle(),
+            active: this.isTiltActive(),
+            getOrbit: () => this.getCameraOrbitDegrees(),
+            limits: this.viewerSettings.limits,
+            smoothing: isReducedMotion() ? 1 : config.TILT_CONFIG.smoothing
+        });
+        
+        if (orbit) {
+            this.elements.viewer.cameraOrbit = `${orbit.theta}deg ${orbit.phi}deg ${orbit.radius}m`;
+        }
+    }
+    
+    /**
+     * Órbita actual de la cámara en grados (null si model-viewer aún no está listo)
+     */
+    getCameraOrbitDegrees() {
+        const viewer = this.elements.viewer;
+        if (!isModelViewerReady(viewer)) {
+            return null;
+        }
+        const current = viewer.getCameraOrbit();
+        return { theta: radToDeg(current.theta), phi: radToDeg(current.phi), radius: current.radius };
+    }
+    
     scheduleAutoSnap() {
         this.clearTimer('autoSnap');
+        // En modo de autoría se desactiva para poder capturar cualquier órbita
+        if (this.autoSnap === false) {
+            return;
+        }
         this.setTimer('autoSnap', () => {
             const timeSinceLastInteraction = Date.now() - this.interaction.lastInteractionTime;
             if (timeSinceLastInteraction >= config.CAMERA_SNAP_DELAY && 
@@ -546,7 +1686,9 @@ class CardViewerApp {
                 }
                 
                 try {
-                    snapToNearestSide(this.elements.viewer, config.ROTATION_CONFIG);
+                    const goal = snapToNearestSide(this.elements.viewer, { ...this.viewerSettings.rotation, jump: isReducedMotion() });
+                    // La inclinación sigue desde el lado al que vuelve la carta, no desde la órbita a mitad del giro
+                    this.resetTiltCalibration(goal);
                 } catch (error) {
                     if (config.DEBUG_MODE) {
                         console.error("Error en snap automático:", error);
@@ -566,6 +1708,7 @@ class CardViewerApp {
         }
         
         this.resetHoldState();
+        announceStatus(this.getText("a11y_hold_cancelled", "Animación cancelada"));
     }
     
     initiateHold() {
@@ -578,7 +1721,7 @@ class CardViewerApp {
         }
         
         try {
-            snapToNearestSide(this.elements.viewer, config.ROTATION_CONFIG);
+            snapToNearestSide(this.elements.viewer, { ...this.viewerSettings.rotation, jump: isReducedMotion() });
         } catch (error) {
             if (config.DEBUG_MODE) {
                 console.error("Error en snap preventivo:", error);
@@ -592,7 +1735,8 @@ class CardViewerApp {
         this.elements.viewer.classList.add("hold");
         this.elements.indicator.classList.add("active");
         
-        triggerHapticFeedback(config.DEVICE_CONFIG?.hapticFeedback);
+        triggerHapticFeedback({ ...config.DEVICE_CONFIG?.hapticFeedback, reducedMotion: isReducedMotion() });
+        announceStatus(this.getText("a11y_holding", "Sigue pulsando para reproducir la animación"));
         this.startProgressAnimation();
         this.startParticleEffect(this.interaction.touchStartPosition);
         
@@ -629,7 +1773,7 @@ class CardViewerApp {
             }
             
             if (progress >= 1) {
-                triggerHapticFeedback(config.DEVICE_CONFIG?.hapticFeedback);
+                triggerHapticFeedback({ ...config.DEVICE_CONFIG?.hapticFeedback, reducedMotion: isReducedMotion() });
                 this.clearTimer("progress");
                 return;
             }
@@ -642,6 +1786,10 @@ class CardViewerApp {
     }
     
     startParticleEffect(position) {
+        if (isReducedMotion()) {
+            return;
+        }
+        
         if (!position || typeof position.x !== 'number' || typeof position.y !== 'number') {
             if (config.DEBUG_MODE) {
                 console.warn("Posición inválida para partículas:", position);
@@ -652,7 +1800,7 @@ class CardViewerApp {
         this.setTimer("particles", () => {
             if (this.state.isHolding && this.elements.particlesContainer) {
                 try {
-                    spawnParticles(position.x, position.y, this.elements.particlesContainer, config.PARTICLE_CONFIG);
+                    spawnParticles(position.x, position.y, this.elements.particlesContainer, { ...config.PARTICLE_CONFIG, reducedMotion: isReducedMotion() });
                 } catch (error) {
                     if (config.DEBUG_MODE) {
                         console.warn("Error generando partículas:", error);
@@ -694,11 +1842,11 @@ class CardViewerApp {
         
         try {
             this.setShareButtonState("loading");
-            displayInfo(this.getText("share_preparing", "Preparando captura..."));
+            displayInfo(this.getText("share_preparing", "Preparando captura..."), "share_preparing");
             
             const imageBlob = await getCardShareImage(this.resourcePaths.share);
             if (!imageBlob) {
-                displayWarning(this.getText("share_no_image", "Imagen no disponible"));
+                displayWarning(this.getText("share_no_image", "Imagen no disponible"), "share_no_image");
                 return;
             }
             
@@ -710,14 +1858,14 @@ class CardViewerApp {
             if (config.DEBUG_MODE) {
                 console.error("Error al compartir:", error);
             }
-            displayError(this.getText("share_error", "Error al preparar la imagen"));
+            displayError(this.getText("share_error", "Error al preparar la imagen"), "share_error");
         } finally {
             this.setShareButtonState("normal");
         }
     }
     
     generateShareText() {
-        const cardTitle = this.getLocalizedTitle();
+        const cardTitle = getCreditedTitle(this.cardData, this.translations, this.lang, this.getLocalizedTitle());
         const storeUrl = config.SHARE_CONFIG?.storeUrl || "https://www.superx.com.ar";
         const handle = config.SHARE_CONFIG?.socialHandle || "@superx_coleccionables";
         
@@ -726,13 +1874,7 @@ class CardViewerApp {
                            `📱 Síguenos en Instagram: {handle}\n\n` +
                            `#cartas3D #coleccionables #manga #comic #anime #gamming`;
         
-        const shareTemplate = this.getText("share_text", fallbackText);
-        const finalShareText = shareTemplate
-            .replace("{cardTitle}", cardTitle)
-            .replace("{storeUrl}", storeUrl)
-            .replace("{handle}", handle);
-        
-        return finalShareText;
+        return this.formatText("share_text", fallbackText, { cardTitle, storeUrl, handle });
     }
     
     async attemptShare(imageBlob, shareText) {
@@ -759,11 +1901,12 @@ class CardViewerApp {
     handleShareResult(result) {
         if (result.success) {
             const messages = {
-                native: this.getText("share_success", "¡Imagen lista para compartir!"),
-                clipboard: this.getText("share_clipboard", "Imagen copiada al portapapeles"),
-                download: this.getText("share_download", "Imagen descargada"),
+                native: ["share_success", "¡Imagen lista para compartir!"],
+                clipboard: ["share_clipboard", "Imagen copiada al portapapeles"],
+                download: ["share_download", "Imagen descargada"],
             };
-            displaySuccess(messages[result.method]);
+            const [key, fallback] = messages[result.method];
+            displaySuccess(this.getText(key, fallback), key);
         }
     }
     
@@ -790,7 +1933,21 @@ class CardViewerApp {
     /* ===================== EVENT LISTENERS ===================== */
     setupEventListeners() {
         this.elements.skipButton?.addEventListener("click", () => this.returnToModel());
+        this.elements.videoPlayButton?.addEventListener("click", () => this.playVideo());
+        this.elements.hotspotClose?.addEventListener("click", () => this.closeHotspot());
+        document.addEventListener("pointerdown", (e) => this.handleOutsidePointer(e));
         this.elements.shareButton?.addEventListener("click", () => this.handleShareCard());
+        this.elements.arButton?.addEventListener("click", () => this.handleARButton());
+        
+        // Giro por inclinación: solo se ofrece en dispositivos táctiles con sensor de orientación
+        if (this.elements.tiltButton && config.TILT_CONFIG.enabled && isTiltSupported()) {
+            this.elements.tiltButton.classList.remove("hidden");
+            this.elements.tiltButton.addEventListener("click", () => this.setTiltEnabled(!this.tilt.enabled));
+        }
+        document.addEventListener("visibilitychange", () => this.resetTiltCalibration());
+        
+        this.elements.viewer.addEventListener("ar-status", (e) => this.handleARStatus(e));
+        document.addEventListener("visibilitychange", () => this.handleARVisibilityChange());
         
         this.elements.viewer.addEventListener("pointerdown", (e) => this.startHoldDetection(e));
         this.elements.viewer.addEventListener("pointermove", (e) => this.updateHoldDetection(e));
@@ -799,8 +1956,23 @@ class CardViewerApp {
         this.elements.viewer.addEventListener("pointerleave", (e) => this.endHoldDetection(e));
         this.elements.viewer.addEventListener("dragstart", (e) => e.preventDefault());
         
+        // Teclado: mantener Espacio/Enter sobre el visor, Escape para saltar
+        this.elements.viewer.addEventListener("keydown", (e) => this.handleViewerKeyDown(e));
+        this.elements.viewer.addEventListener("keyup", (e) => this.handleViewerKeyUp(e));
+        this.elements.viewer.addEventListener("blur", () => this.endHoldDetection({ pointerId: KEYBOARD_POINTER_ID }));
+        document.addEventListener("keydown", (e) => this.handleSkipKey(e));
+        
+        if (this.elements.playButton) {
+            this.elements.playButton.classList.toggle("visually-hidden-focusable", !config.ACCESSIBILITY_CONFIG.showPlayButton);
+            this.elements.playButton.addEventListener("click", () => this.showVideo());
+        }
+        
         this.elements.video.addEventListener("ended", () => this.returnToModel());
         
+        // El aviso animado de "arrastra para girar" de model-viewer también se desactiva
+        this.applyMotionPreference();
+        window.addEventListener("motionChanged", () => this.applyMotionPreference());
+        
         window.addEventListener("languageChanged", (event) => {
             this.lang = event.detail.language;
             this.translations = event.detail.translations;
@@ -809,8 +1981,13 @@ class CardViewerApp {
             if (this.elements.title) {
                 this.elements.title.textContent = this.getLocalizedTitle();
             }
+            this.renderSerial();
+            this.renderDetails();
+            this.renderHotspots();
+            this.renderVariantSelector();
             
-            this.setShareButtonState("normal");
+            const sharing = this.elements.shareButton?.classList.contains("loading");
+            this.setShareButtonState(sharing ? "loading" : "normal");
         });
         
         if (config.DEBUG_MODE) {
@@ -823,6 +2000,10 @@ class CardViewerApp {
         }
     }
 
+    applyMotionPreference() {
+        this.elements.viewer.setAttribute("interaction-prompt", isReducedMotion() ? "none" : "auto");
+    }
+
     /* ===================== CLEANUP ===================== */
     destroy() {
         if (config.DEBUG_MODE) {
@@ -831,6 +2012,8 @@ class CardViewerApp {
         
         this.clearAllTimers();
         this.resetHoldState();
+        window.removeEventListener("deviceorientation", this.tilt.listener);
+        this.tilt.tracker.stop();
         
         Object.keys(this.elements).forEach(key => {
             this.elements[key] = null;
@@ -839,6 +2022,7 @@ class CardViewerApp {
         this.state = null;
         this.interaction = null;
         this.progress = null;
+        this.ar = null;
     }
 }
 
@@ -0,0 +1,263 @@
+/**
+ * collection.js - Registro local de cartas escaneadas
+ * Proyecto: Super X Immersive Cards
+ *
+ * Guarda en localStorage qué cartas se abrieron en este dispositivo y cuándo.
+ * Formato: { [cardId]: { firstSeen, lastSeen, views, serial?, printings? } } con timestamps en ms.
+ * `printings` son las impresiones especiales verificadas, que desbloquean su variante en el visor.
+ */
+
+import { COLLECTION_CONFIG, DEBUG_MODE } from "./config.js";
+import { signMessage, verifySignature } from "./utils.js";
+
+// IDs admitidos en los códigos de transferencia (los de cards.json son alfanuméricos)
+const CARD_ID_PATTERN = /^[A-Za-z0-9]+$/;
+// <cardId>-<primer escaneo en segundos, base 36>[~<impresión>...] (los códigos sin impresiones siguen siendo válidos)
+const ENTRY_PATTERN = /^([A-Za-z0-9]+)-([0-9a-z]+)((?:~[a-z0-9][a-z0-9-]*)*)$/;
+const PRINTING_SEPARATOR = '~';
+
+/**
+ * Error al leer un código de transferencia
+ * Tipos: "malformed" (no tiene el formato esperado) o "signature" (firma incorrecta)
+ */
+export class CollectionCodeError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = "CollectionCodeError";
+    this.type = type;
+  }
+}
+
+/**
+ * Lee la colección guardada (objeto vacío si no hay datos o están corruptos)
+ * @returns {Object<string, {firstSeen: number, lastSeen: number, views: number}>}
+ */
+export function getCollection() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLLECTION_CONFIG.storageKey));
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (error) {
+    if (DEBUG_MODE) console.warn('Colección local ilegible, se ignora:', error.message);
+    return {};
+  }
+}
+
+function saveCollection(collection) {
+  try {
+    localStorage.setItem(COLLECTION_CONFIG.storageKey, JSON.stringify(collection));
+    return true;
+  } catch (error) {
+    if (DEBUG_MODE) console.warn('No se pudo guardar la colección:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Registra una visualización completa de una carta
+ * @param {string} cardId - ID de la carta en cards.json
+ * @param {number} [timestamp=Date.now()] - Momento de la visualización
+ * @param {Object} [details]
+ * @param {number} [details.serial] - Número de serie verificado de la copia física
+ * @param {string} [details.printing] - Impresión especial verificada (clave de `printings`)
+ */
+export function recordCardView(cardId, timestamp = Date.now(), details = {}) {
+  if (!cardId) return false;
+
+  const collection = getCollection();
+  const entry = collection[cardId];
+  const printings = getStoredPrintings(entry);
+
+  if (details.printing && !printings.includes(details.printing)) {
+    printings.push(details.printing);
+  }
+
+  collection[cardId] = {
+    firstSeen: entry?.firstSeen ?? timestamp,
+    lastSeen: timestamp,
+    views: (entry?.views ?? 0) + 1,
+    serial: details.serial ?? entry?.serial,
+    printings: printings.length ? printings : undefined
+  };
+
+  return saveCollection(collection);
+}
+
+/**
+ * Impresiones especiales desbloqueadas de una carta en este dispositivo
+ * @returns {string[]}
+ */
+export function getUnlockedPrintings(cardId) {
+  return getStoredPrintings(getCollection()[cardId]);
+}
+
+function getStoredPrintings(entry) {
+  return Array.isArray(entry?.printings) ? entry.printings.filter(printing => typeof printing === 'string') : [];
+}
+
+/**
+ * Indica si una carta ya fue escaneada en este dispositivo
+ */
+export function isCardCollected(cardId) {
+  return Boolean(getCollection()[cardId]);
+}
+
+/**
+ * Calcula el progreso de la colección respecto al catálogo
+ * Ignora IDs guardados que ya no existan en cards.json
+ * @param {Object} cardsData - Contenido de cards.json
+ * @returns {{collected: number, total: number}}
+ */
+export function getCollectionProgress(cardsData) {
+  const collection = getCollection();
+  const ids = Object.keys(cardsData || {});
+
+  return {
+    collected: ids.filter(id => collection[id]).length,
+    total: ids.length
+  };
+}
+
+/* =====================
+   TRANSFERENCIA ENTRE DISPOSITIVOS
+===================== */
+
+/**
+ * Genera el código firmado con las cartas coleccionadas, su primera fecha de escaneo
+ * y las impresiones especiales verificadas
+ * @returns {Promise<string|null>} Código o null si la colección está vacía
+ */
+export async function createCollectionCode() {
+  const { prefix, signingKey, signatureLength } = COLLECTION_CONFIG.transfer;
+
+  const now = Date.now();
+  const entries = Object.entries(getCollection())
+    .filter(([cardId, entry]) => CARD_ID_PATTERN.test(cardId) && entry && typeof entry === 'object')
+    .map(([cardId, entry]) => ({ cardId, entry, firstSeen: getExportTimestamp(entry, now) }))
+    .sort((a, b) => a.firstSeen - b.firstSeen)
+    .map(({ cardId, entry, firstSeen }) => [
+      `${cardId}-${Math.floor(firstSeen / 1000).toString(36)}`,
+      ...getStoredPrintings(entry)
+    ].join(PRINTING_SEPARATOR));
+
+  if (!entries.length) return null;
+
+  const payload = `${prefix}.${entries.join('_')}`;
+  return `${payload}.${await signMessage(payload, signingKey, signatureLength)}`;
+}
+
+/**
+ * Fecha de primer escaneo a exportar: una entrada dañada en localStorage no debe
+ * invalidar el código entero, así que se recurre a lastSeen o al momento actual
+ * @private
+ */
+function getExportTimestamp(entry, now) {
+  const timestamp = [entry.firstSeen, entry.lastSeen].find(value => Number.isFinite(value) && value >= 0);
+  return timestamp ?? now;
+}
+
+/**
+ * Construye la URL de importación que se codifica en el QR
+ * @param {string} code - Código generado por createCollectionCode()
+ * @param {string} [baseUrl=window.location.href] - Página que recibirá la importación
+ */
+export function getCollectionImportUrl(code, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(COLLECTION_CONFIG.transfer.urlParam, code);
+  return url.href;
+}
+
+/**
+ * Lee y verifica un código de transferencia
+ * Acepta el código suelto o la URL completa del QR
+ * @param {string} input - Texto introducido o escaneado
+ * @returns {Promise<Array<{cardId: string, firstSeen: number, printings: string[]}>>}
+ * @throws {CollectionCodeError}
+ */
+export async function parseCollectionCode(input) {
+  const { prefix, signingKey, signatureLength } = COLLECTION_CONFIG.transfer;
+  const code = extractCode(input);
+
+  const signatureStart = code.lastIndexOf('.');
+  const payload = code.slice(0, signatureStart);
+  const [codePrefix, body] = payload.split('.');
+
+  if (signatureStart < 0 || codePrefix !== prefix || !body) {
+    throw new CollectionCodeError('malformed', 'Formato de código desconocido');
+  }
+
+  const entries = body.split('_').map(part => ENTRY_PATTERN.exec(part));
+  if (entries.some(match => !match)) {
+    throw new CollectionCodeError('malformed', 'Entrada de carta inválida');
+  }
+
+  if (!await verifySignature(payload, code.slice(signatureStart + 1), signingKey, signatureLength)) {
+    throw new CollectionCodeError('signature', 'La firma del código no coincide');
+  }
+
+  return entries.map(([, cardId, seconds, printings]) => ({
+    cardId,
+    // Una fecha futura solo puede venir de un reloj mal configurado
+    firstSeen: Math.min(parseInt(seconds, 36) * 1000, Date.now()),
+    printings: printings.split(PRINTING_SEPARATOR).filter(Boolean)
+  }));
+}
+
+/**
+ * Fusiona en la colección local las cartas de un código ya verificado
+ * Se omiten los IDs que no existen en cards.json; de las cartas ya coleccionadas
+ * solo se añaden las impresiones que falten (las que no están en cards.json se descartan)
+ * @param {Array<{cardId: string, firstSeen: number, printings?: string[]}>} entries - Resultado de parseCollectionCode()
+ * @param {Object} cardsData - Contenido de cards.json
+ * @returns {{added: string[], unknown: string[], duplicate: string[], updated: string[], saved: boolean}}
+ */
+export function importCollectionEntries(entries, cardsData) {
+  const collection = getCollection();
+  const result = { added: [], unknown: [], duplicate: [], updated: [], saved: true };
+
+  entries.forEach(({ cardId, firstSeen, printings = [] }) => {
+    if (!Object.hasOwn(cardsData || {}, cardId)) {
+      result.unknown.push(cardId);
+      return;
+    }
+
+    const known = printings.filter(printing => Object.hasOwn(cardsData[cardId].printings || {}, printing));
+    const entry = collection[cardId];
+
+    if (entry) {
+      const stored = getStoredPrintings(entry);
+      const missing = known.filter(printing => !stored.includes(printing));
+      result.duplicate.push(cardId);
+      if (missing.length) {
+        collection[cardId] = { ...entry, printings: [...stored, ...missing] };
+        result.updated.push(cardId);
+      }
+    } else {
+      // Sin visualizaciones: la carta aún no se abrió en este dispositivo
+      collection[cardId] = { firstSeen, lastSeen: firstSeen, views: 0, printings: known.length ? known : undefined };
+      result.added.push(cardId);
+    }
+  });
+
+  if (result.added.length || result.updated.length) {
+    result.saved = saveCollection(collection);
+  }
+
+  return result;
+}
+
+/**
+ * Obtiene el código desde una URL de importación o texto pegado
+ * (los lectores de QR y el portapapeles pueden añadir espacios o saltos de línea)
+ */
+function extractCode(input) {
+  const text = String(input || '').replace(/\s+/g, '');
+
+  try {
+    const url = new URL(text);
+    return url.searchParams.get(COLLECTION_CONFIG.transfer.urlParam) || '';
+  } catch (error) {
+    return text;
+  }
+}
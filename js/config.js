@@ -7,6 +7,7 @@
 /* ===================== CONFIGURACIÓN DE IDIOMAS ===================== */
 export const DEFAULT_LANG = "es";
 export const LANG_PATH = "lang/";
+export const LANG_MANIFEST_PATH = `${LANG_PATH}manifest.json`; // Idiomas del menú de idioma
 
 /* ===================== RUTAS DE RECURSOS ===================== */
 export const IMAGE_PATH = "assets/images/";
@@ -14,11 +15,57 @@ export const MODEL_PATH = "assets/models/";
 export const VIDEO_PATH = "assets/videos/";
 export const CARDS_DATA_PATH = "data/cards.json";
 
+/* ===================== CONFIGURACIÓN DE VIDEO ===================== */
+export const VIDEO_CONFIG = {
+  // Tipos MIME usados cuando una fuente de cards.json no declara `type`
+  mimeTypes: {
+    webm: 'video/webm',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime'
+  }
+};
+
+/* ===================== CONFIGURACIÓN DE CALIDAD ===================== */
+// En cards.json, `model`, `video` y `size.*` pueden ser un valor único o un mapa
+// por nivel de calidad, p. ej. "model": { "low": "card0001-low.glb", "high": "card0001.glb" }
+export const QUALITY_CONFIG = {
+  tiers: ['low', 'high'], // De menor a mayor calidad
+  defaultTier: 'high',
+  urlParam: 'quality', // ?quality=low fuerza un nivel (pruebas)
+  lowTier: {
+    connectionTypes: ['slow-2g', '2g', '3g'],
+    maxDeviceMemory: 2, // GB
+    maxScreenPixels: 720 // Lado corto de la pantalla en píxeles físicos
+  },
+  // Presupuesto de cada nivel para los .glb (lo comprueba scripts/inspect-models.mjs)
+  modelBudgets: {
+    low: { maxBytes: 1000000, maxTriangles: 20000, maxTextures: 4, maxTextureSize: 1024 },
+    high: { maxBytes: 2500000, maxTriangles: 100000, maxTextures: 8, maxTextureSize: 2048 }
+  }
+};
+
 /* ===================== CONFIGURACIÓN DE INTERACCIÓN ===================== */
 export const HOLD_DURATION = 1000;
 export const VIDEO_ACTIVATION_DELAY = 1000;
 export const DRAG_THRESHOLD = 10;
 
+/* ===================== CONFIGURACIÓN DE ACCESIBILIDAD ===================== */
+export const ACCESSIBILITY_CONFIG = {
+  // Teclas que equivalen a mantener pulsada la carta (con el visor enfocado)
+  holdKeys: [" ", "Enter"],
+  skipKey: "Escape",
+  // true: botón "Ver animación" siempre visible; false: solo aparece al recibir el foco con Tab
+  showPlayButton: false
+};
+
+/* ===================== CONFIGURACIÓN DE MOVIMIENTO ===================== */
+// Modo de movimiento reducido: sin partículas ni vibración, snap sin animar y video a demanda
+export const MOTION_CONFIG = {
+  // Elección del usuario ('reduce' | 'full'); sin valor se sigue prefers-reduced-motion
+  storageKey: 'motion-preference'
+};
+
 /* ===================== CONFIGURACIÓN VISUAL ===================== */
 export const FADE_DURATION = 400;
 export const PARTICLE_SPAWN_INTERVAL = 80;
@@ -35,11 +82,53 @@ export const PARTICLE_CONFIG = {
 export const CAMERA_SNAP_DELAY = 800;
 
 /* ===================== CONFIGURACIÓN DE ROTACIÓN ===================== */
+// `viewer.snapAngles` en cards.json reemplaza snapAngles para una carta; defaultPhi
+// se toma de la órbita inicial de la carta si está en grados o radianes
 export const ROTATION_CONFIG = {
   snapAngles: [0, 180],
   defaultPhi: 90
 };
 
+/* ===================== CONFIGURACIÓN DE GIRO POR INCLINACIÓN ===================== */
+// Modo opcional (botón de card.html): inclinar el dispositivo gira la carta dentro
+// de las órbitas mínima y máxima de la carta (ver js/tilt.js)
+export const TILT_CONFIG = {
+  enabled: true,
+  // Grados de cámara por grado de inclinación (un valor negativo invierte el eje)
+  sensitivity: { theta: 1.5, phi: 1 },
+  deadZone: 1, // Grados ignorados alrededor de la posición neutra (pulso de la mano)
+  maxTilt: 45, // Inclinación máxima que se traduce en giro
+  smoothing: 0.25, // 0-1: fracción del camino hacia la nueva órbita en cada lectura
+  recalibrateAfter: 2000, // ms fuera de maxTilt tras los que la postura actual pasa a ser la neutra
+  unavailableAfter: 1500 // ms sin ninguna lectura válida tras los que se desactiva el modo
+};
+
+/* ===================== CONFIGURACIÓN DEL VISOR 3D ===================== */
+// Valores de model-viewer para todas las cartas; cada una puede cambiarlos con
+// `viewer` en cards.json. null deja el valor por defecto de model-viewer.
+export const VIEWER_CONFIG = {
+  cameraOrbit: "0deg 90deg auto",
+  minCameraOrbit: "auto 75deg auto",
+  maxCameraOrbit: "auto 105deg auto",
+  exposure: 1,
+  shadowIntensity: 1,
+  environmentImage: null, // "neutral", "legacy" o un .hdr/.jpg de MODEL_PATH
+  toneMapping: null // "neutral", "aces", "agx", ...
+};
+
+/* ===================== CONFIGURACIÓN DE REALIDAD AUMENTADA ===================== */
+export const AR_CONFIG = {
+  enabled: true,
+  modesByPlatform: {
+    ios: 'quick-look',
+    android: 'webxr scene-viewer',
+    default: 'webxr scene-viewer quick-look'
+  },
+  placement: 'floor',
+  scale: 'auto',
+  externalLaunchTimeout: 3000 // ms que se espera a que Scene Viewer / Quick Look oculten la página
+};
+
 /* ===================== CONFIGURACIÓN PARA COMPARTIR ===================== */
 export const SHARE_CONFIG = {
   storeUrl: "https://www.superx.com.ar",
@@ -47,6 +136,14 @@ export const SHARE_CONFIG = {
   filename: "super-x-card"
 };
 
+/* ===================== CONFIGURACIÓN DE LA FICHA DE CARTA ===================== */
+export const CARD_INFO_CONFIG = {
+  // Orden de las filas del panel de información; se omiten las que la carta no tenga
+  fields: ["series", "character", "artist", "edition", "rarity", "releaseDate"],
+  // Valores admitidos en `rarity` (cada uno con su clave rarity_<valor> en lang/)
+  rarities: ["common", "uncommon", "rare", "epic", "legendary"]
+};
+
 /* ===================== CONFIGURACIÓN DE VALIDACIÓN DE RECURSOS ===================== */
 export const RESOURCE_VALIDATION = {
   resourceType: 'resource',
@@ -54,6 +151,80 @@ export const RESOURCE_VALIDATION = {
   method: 'HEAD'
 };
 
+/* ===================== CONFIGURACIÓN DE CARGA ===================== */
+export const LOADING_CONFIG = {
+  // Tramo de la barra (en %) que refleja la descarga real de modelo y video
+  progressRange: { start: 10, end: 100 },
+  // Pesos en bytes para recursos sin `size` en cards.json
+  defaultSizes: {
+    model: 2000000,
+    video: 3500000
+  },
+  // Timeouts (ms) de cada fase de carga
+  dataTimeout: 8000,
+  resourceTimeout: 10000, // Sin avance en la descarga de modelo y video
+  // Pausa antes de mostrar el modelo una vez completada la barra
+  finishDelay: 300
+};
+
+/* ===================== CONFIGURACIÓN DE REINTENTOS ===================== */
+export const RETRY_CONFIG = {
+  maxAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 8000,
+  factor: 2,
+  jitter: 0.2
+};
+
+/* ===================== CONFIGURACIÓN DE COLECCIÓN ===================== */
+export const COLLECTION_CONFIG = {
+  storageKey: 'superx-collection',
+  // Código de transferencia entre dispositivos: "SX1.<id>-<fecha>_<id>-<fecha>.<firma>"
+  // Las fechas son segundos Unix en base 36; la firma es HMAC-SHA256 truncado
+  transfer: {
+    prefix: 'SX1',
+    signingKey: 'superx-collection-transfer',
+    signatureLength: 12,
+    urlParam: 'import',
+    qr: { errorCorrection: 'M', scale: 6, margin: 4 }
+  }
+};
+
+/* ===================== CONFIGURACIÓN DE AUTENTICIDAD ===================== */
+// QR impresos: card.html?id=<id>&s=<serie>&t=<firma>, con la tirada en `edition.size` de cards.json
+// Las impresiones especiales (foil, holo, arte alternativo) añaden &p=<impresión> de `printings`
+// La clave viaja con el sitio (config.js es público): la firma es una ofuscación que evita
+// URLs tecleadas a mano, no una prueba de autenticidad. Quien lea el código puede firmar.
+export const AUTHENTICITY_CONFIG = {
+  enabled: true,
+  signingKey: 'superx-cards-edition',
+  signatureLength: 10,
+  serialParam: 's',
+  tagParam: 't',
+  printingParam: 'p',
+  minSerialDigits: 3,
+  // Las URLs sin firma solo abren cartas que ya estén en la colección del dispositivo.
+  // Excepción: IDs cuyos QR sin firma (card.html?id=<id>) ya se imprimieron y siguen circulando.
+  legacyUnsignedIds: []
+};
+
+/* ===================== CONFIGURACIÓN DE AUTORÍA ===================== */
+// tools/author.html abre card.html?id=<id>&author en un iframe y le pasa los cambios
+// sin guardar por sessionStorage. Fuera de estos hosts el parámetro se ignora.
+export const AUTHORING_CONFIG = {
+  urlParam: 'author',
+  storageKey: 'card-authoring-patch',
+  localHosts: ['localhost', '127.0.0.1', '[::1]'],
+  readyMessage: 'card-authoring-ready'
+};
+
+/* ===================== CONFIGURACIÓN OFFLINE ===================== */
+export const SERVICE_WORKER_CONFIG = {
+  enabled: true,
+  path: 'sw.js',
+  scope: './'
+};
+
 /* ===================== CONFIGURACIÓN DE DESARROLLO ===================== */
 export const DEBUG_MODE = false;
 
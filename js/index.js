@@ -6,8 +6,29 @@
  * y configuración básica del sistema de internacionalización.
  */
 
-import { loadLang, applyTranslations, detectUserLanguage } from "./lang.js";
-import { DEFAULT_LANG, DEBUG_MODE } from "./config.js";
+import { loadLang, applyTranslations, detectUserLanguage, getTranslation, formatTranslation } from "./lang.js";
+import { setupLanguageSwitcher } from "./language-switcher.js";
+import { DEFAULT_LANG, DEBUG_MODE, SERVICE_WORKER_CONFIG, CARDS_DATA_PATH, IMAGE_PATH, COLLECTION_CONFIG } from "./config.js";
+import { registerServiceWorker } from "./utils.js";
+import {
+  getCollection,
+  getCollectionProgress,
+  createCollectionCode,
+  getCollectionImportUrl,
+  parseCollectionCode,
+  importCollectionEntries
+} from "./collection.js";
+import { createQrMatrix, renderQrToCanvas } from "./qrcode.js";
+import { getCardInfo, getRarityLabel } from "./card-info.js";
+
+// Catálogo compartido por la cuadrícula y la importación (se descarga una sola vez)
+let cardsDataPromise = null;
+
+// Idioma activo; el menú de idioma lo reemplaza sin recargar la página
+const pageLanguage = { translations: {}, lang: DEFAULT_LANG };
+
+// Mensajes de estado visibles en los diálogos, para volver a traducirlos
+const statusMessages = new Map();
 
 /* =====================
    INICIALIZACIÓN PRINCIPAL
@@ -26,12 +47,21 @@ import { DEFAULT_LANG, DEBUG_MODE } from "./config.js";
     // Cargar y aplicar traducciones
     const translations = await loadLang(selectedLang);
     applyTranslations(translations);
+    Object.assign(pageLanguage, { translations, lang: selectedLang });
     
     // Establecer atributo lang en el documento
     document.documentElement.lang = selectedLang;
     
+    // Mostrar la colección de cartas escaneadas
+    await renderCollection(translations, selectedLang);
+    setupCollectionTransfer();
+    setupLanguageSwitcher(document.getElementById('index_language'), selectedLang);
+    
     if (DEBUG_MODE) console.log(`Página de inicio inicializada en idioma: ${selectedLang}`);
     
+    // Registrar el service worker para precachear el app shell
+    registerServiceWorker(SERVICE_WORKER_CONFIG);
+    
   } catch (error) {
     if (DEBUG_MODE) console.error("Error al inicializar la página de inicio:", error);
     
@@ -52,10 +82,283 @@ import { DEFAULT_LANG, DEBUG_MODE } from "./config.js";
   }
 })();
 
+/* =====================
+   COLECCIÓN
+===================== */
+
+/**
+ * Carga el catálogo y pinta la cuadrícula de cartas coleccionadas y bloqueadas
+ * @param {Object} translations - Traducciones activas
+ * @param {string} lang - Idioma activo
+ */
+async function renderCollection(translations, lang) {
+  const section = document.getElementById('index_collection');
+  const grid = document.getElementById('index_collection_grid');
+  const progressElement = document.getElementById('index_collection_progress');
+  if (!section || !grid) return;
+  
+  try {
+    const cardsData = await loadCardsData();
+    
+    const collection = getCollection();
+    const { collected, total } = getCollectionProgress(cardsData);
+    
+    if (progressElement) {
+      progressElement.textContent = formatTranslation(translations, 'collection_progress', { collected, total }, {
+        fallback: '{collected}/{total} coleccionadas',
+        lang
+      });
+    }
+    
+    grid.replaceChildren(...Object.entries(cardsData).map(([cardId, cardData]) =>
+      createCollectionItem(cardId, cardData, collection[cardId], translations, lang)
+    ));
+    
+    const exportButton = document.getElementById('index_collection_export');
+    if (exportButton) exportButton.hidden = collected === 0;
+    
+    section.hidden = false;
+    
+  } catch (error) {
+    if (DEBUG_MODE) console.error('Error cargando la colección:', error);
+    section.hidden = true;
+  }
+}
+
+/**
+ * Crea el elemento de la cuadrícula para una carta
+ * Las cartas coleccionadas muestran su imagen y enlazan al visor; las bloqueadas no revelan nada
+ * @private
+ */
+function createCollectionItem(cardId, cardData, entry, translations, lang) {
+  const item = document.createElement('li');
+  item.className = `collection-card ${entry ? 'collected' : 'locked'}`;
+  
+  const caption = document.createElement('span');
+  caption.className = 'collection-card-title';
+  
+  if (!entry) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'collection-card-thumb collection-card-placeholder';
+    placeholder.setAttribute('aria-hidden', 'true');
+    placeholder.textContent = '?';
+    
+    caption.textContent = getTranslation(translations, 'collection_locked', 'Por descubrir');
+    item.append(placeholder, caption);
+    return item;
+  }
+  
+  const link = document.createElement('a');
+  link.href = `card.html?id=${encodeURIComponent(cardId)}`;
+  
+  const image = document.createElement('img');
+  image.className = 'collection-card-thumb';
+  image.src = `${IMAGE_PATH}${cardData.share}`;
+  image.alt = '';
+  image.loading = 'lazy';
+  image.decoding = 'async';
+  
+  const info = getCardInfo(cardData, lang);
+  caption.textContent = info.title || cardId;
+  link.append(image, caption);
+  
+  // Mismos campos que la ficha de card.html: artista y rareza bajo el título
+  const credits = [info.artist, getRarityLabel(info.rarity, translations)].filter(Boolean);
+  if (credits.length) {
+    const meta = document.createElement('span');
+    meta.className = 'collection-card-meta';
+    meta.textContent = credits.join(' · ');
+    link.append(meta);
+  }
+  if (info.rarity) item.dataset.rarity = info.rarity;
+  
+  item.appendChild(link);
+  return item;
+}
+
+/* =====================
+   EXPORTAR / IMPORTAR COLECCIÓN
+===================== */
+
+/**
+ * Conecta los botones y diálogos de transferencia
+ * Si la página se abrió desde un QR de exportación, abre directamente la importación
+ */
+function setupCollectionTransfer() {
+  const exportDialog = document.getElementById('index_export_dialog');
+  const importDialog = document.getElementById('index_import_dialog');
+  if (!exportDialog || !importDialog) return;
+  
+  document.getElementById('index_collection_export')?.addEventListener('click', () => {
+    openExportDialog(exportDialog);
+  });
+  
+  document.getElementById('index_collection_import')?.addEventListener('click', () => {
+    openImportDialog(importDialog);
+  });
+  
+  document.getElementById('index_export_copy')?.addEventListener('click', () => {
+    copyExportCode();
+  });
+  
+  document.getElementById('index_import_form')?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    submitImport();
+  });
+  
+  document.querySelectorAll('[data-close-dialog]').forEach(button => {
+    button.addEventListener('click', () => button.closest('dialog')?.close());
+  });
+  
+  const { urlParam } = COLLECTION_CONFIG.transfer;
+  const params = new URLSearchParams(window.location.search);
+  if (params.has(urlParam)) {
+    openImportDialog(importDialog, params.get(urlParam));
+  }
+}
+
+/**
+ * Genera el código actual y lo muestra como texto y como QR
+ * @private
+ */
+async function openExportDialog(dialog) {
+  const codeElement = document.getElementById('index_export_code');
+  const canvas = document.getElementById('index_export_qr');
+  const status = document.getElementById('index_export_status');
+  
+  const code = await createCollectionCode();
+  showStatus(status, code ? null : 'collection_export_empty', 'Aún no tienes cartas para exportar');
+  codeElement.value = code || '';
+  canvas.hidden = !code;
+  
+  if (code) {
+    const { qr } = COLLECTION_CONFIG.transfer;
+    const matrix = createQrMatrix(getCollectionImportUrl(code), { errorCorrection: qr.errorCorrection });
+    renderQrToCanvas(canvas, matrix, qr);
+  }
+  
+  dialog.showModal();
+}
+
+/**
+ * Copia el código de exportación; si el portapapeles no está disponible lo deja seleccionado
+ * @private
+ */
+async function copyExportCode() {
+  const codeElement = document.getElementById('index_export_code');
+  const status = document.getElementById('index_export_status');
+  if (!codeElement.value) return;
+  
+  try {
+    await navigator.clipboard.writeText(codeElement.value);
+    showStatus(status, 'collection_export_copied', 'Código copiado al portapapeles');
+  } catch (error) {
+    if (DEBUG_MODE) console.warn('No se pudo copiar el código:', error);
+    codeElement.select();
+    showStatus(status, 'collection_export_copy_failed', 'No se pudo copiar. Selecciona el código y cópialo a mano.');
+  }
+}
+
+/**
+ * @param {HTMLDialogElement} dialog - Diálogo de importación
+ * @param {string} [code=''] - Código con el que rellenar el campo (p. ej. desde la URL)
+ * @private
+ */
+function openImportDialog(dialog, code = '') {
+  document.getElementById('index_import_code').value = code;
+  showStatus(document.getElementById('index_import_status'), null);
+  dialog.showModal();
+}
+
+/**
+ * Verifica el código introducido, lo fusiona con la colección y refresca la cuadrícula
+ * @private
+ */
+async function submitImport() {
+  const input = document.getElementById('index_import_code');
+  const status = document.getElementById('index_import_status');
+  
+  try {
+    const entries = await parseCollectionCode(input.value);
+    const result = importCollectionEntries(entries, await loadCardsData());
+    
+    if (!result.saved) {
+      showStatus(status, 'collection_import_save_failed', 'No se pudo guardar la colección en este dispositivo');
+      return;
+    }
+    
+    showStatus(status, 'collection_import_result', '{added} cartas añadidas, {skipped} omitidas (desconocidas o repetidas)', {
+      added: result.added.length,
+      skipped: result.unknown.length + result.duplicate.length
+    });
+    
+    clearImportParam();
+    await renderCollection(pageLanguage.translations, pageLanguage.lang);
+    
+  } catch (error) {
+    if (DEBUG_MODE) console.warn('Código de colección rechazado:', error);
+    if (error.type === 'signature') {
+      showStatus(status, 'collection_import_signature', 'El código fue modificado o copiado con errores.');
+    } else {
+      showStatus(status, 'collection_import_invalid', 'El código no es válido. Comprueba que esté completo.');
+    }
+  }
+}
+
+/**
+ * Muestra un mensaje de estado traducido y lo recuerda para el cambio de idioma
+ * @param {HTMLElement} element - Contenedor del estado
+ * @param {string|null} key - Clave de traducción (null vacía el estado)
+ * @param {string} [fallback] - Texto si falta la traducción
+ * @param {Object} [params] - Valores de los marcadores
+ * @private
+ */
+function showStatus(element, key, fallback = '', params = {}) {
+  if (!element) return;
+  
+  if (!key) {
+    statusMessages.delete(element);
+    element.textContent = '';
+    return;
+  }
+  
+  statusMessages.set(element, { key, fallback, params });
+  element.textContent = formatTranslation(pageLanguage.translations, key, params, { fallback, lang: pageLanguage.lang });
+}
+
+/**
+ * Quita el código de la URL tras importarlo para que recargar no lo vuelva a ofrecer
+ * @private
+ */
+function clearImportParam() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(COLLECTION_CONFIG.transfer.urlParam)) return;
+  
+  url.searchParams.delete(COLLECTION_CONFIG.transfer.urlParam);
+  history.replaceState(history.state, '', url);
+}
+
 /* =====================
    FUNCIONES AUXILIARES
 ===================== */
 
+/**
+ * Descarga cards.json una sola vez por página
+ * @private
+ */
+function loadCardsData() {
+  if (!cardsDataPromise) {
+    cardsDataPromise = fetch(CARDS_DATA_PATH).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    }).catch(error => {
+      cardsDataPromise = null; // Permite reintentar más tarde
+      throw error;
+    });
+  }
+  return cardsDataPromise;
+}
+
 /**
  * Muestra un mensaje de error crítico cuando falla la carga de traducciones
  * @private
@@ -80,9 +383,16 @@ function showCriticalError() {
    CONFIGURACIÓN DE EVENTOS DEL DOCUMENTO
 ===================== */
 
-// Escuchar cambios de idioma dinámicos (si se implementa en el futuro)
-document.addEventListener('languageChanged', (event) => {
-  if (DEBUG_MODE) console.log('Idioma cambiado a:', event.detail.language);
+// Cambio de idioma desde el menú: applyTranslations ya actualizó el HTML estático,
+// aquí se regeneran la colección y los mensajes de estado
+window.addEventListener('languageChanged', (event) => {
+  const { language, translations } = event.detail;
+  Object.assign(pageLanguage, { translations, lang: language });
+  
+  renderCollection(translations, language);
+  statusMessages.forEach(({ key, fallback, params }, element) => showStatus(element, key, fallback, params));
+  
+  if (DEBUG_MODE) console.log('Idioma cambiado a:', language);
 });
 
 // Manejar errores no capturados relacionados con la página
@@ -1,41 +1,170 @@
 /**
  * lang.js - Sistema de internacionalización
  * Proyecto: Super X Immersive Cards
+ *
+ * Marcado en HTML:
+ *   data-i18n="clave"           texto plano
+ *   data-i18n-html="clave"      texto con formato básico (strong, em, br, a...)
+ *   data-i18n-attr="alt:clave"  atributos, separados por ";"
+ *
+ * Marcadores en los textos (formatTranslation / formatMessage):
+ *   {nombre}                                  valor (números y fechas con Intl)
+ *   {nombre, number}                          número con separadores del idioma
+ *   {nombre, date}  {nombre, date, long}      fecha (short | medium | long | full)
+ *   {n, plural, =0 {...} one {...} other {...}}  "#" dentro de cada rama es n formateado
  */
 
-import { DEFAULT_LANG, LANG_PATH } from "./config.js";
+import { DEFAULT_LANG, LANG_PATH, LANG_MANIFEST_PATH, DEBUG_MODE } from "./config.js";
 
 const translationCache = new Map();
+const intlCache = new Map();
+let manifestPromise = null;
+
+// Etiquetas que se conservan en las traducciones marcadas con data-i18n-html;
+// cualquier otra etiqueta se reduce a su texto y se descartan todos los atributos salvo href
+const RICH_TEXT_TAGS = new Set(['STRONG', 'EM', 'B', 'I', 'BR', 'SMALL', 'CODE', 'A']);
+// Esquemas admitidos en los enlaces de las traducciones
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
 
 export function detectUserLanguage() {
   const urlParams = new URLSearchParams(window.location.search);
-  const urlLang = urlParams.get('lang');
-  
-  if (urlLang && isValidLanguageCode(urlLang)) return urlLang;
+  const urlLang = normalizeLanguageTag(urlParams.get('lang'));
+  if (urlLang) return urlLang;
   
-  const storedLang = localStorage.getItem('preferred-language');
-  if (storedLang && isValidLanguageCode(storedLang)) return storedLang;
+  const storedLang = normalizeLanguageTag(localStorage.getItem('preferred-language'));
+  if (storedLang) return storedLang;
   
-  const browserLang = navigator.language.split('-')[0];
-  if (isValidLanguageCode(browserLang)) return browserLang;
+  // Se conserva la región (es-AR, pt-BR); loadLang resuelve la cadena de respaldo
+  const browserLangs = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const browserLang of browserLangs) {
+    const tag = normalizeLanguageTag(browserLang);
+    if (tag) return tag;
+  }
   
   return DEFAULT_LANG;
 }
 
-function isValidLanguageCode(lang) {
-  return typeof lang === 'string' && /^[a-z]{2}$/.test(lang);
+/**
+ * Valida una etiqueta BCP-47 (idioma, escritura y región) y la devuelve en su forma
+ * canónica ("es-ar" → "es-AR"), o null si no es válida
+ */
+export function normalizeLanguageTag(tag) {
+  if (typeof tag !== 'string' || !/^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?$/i.test(tag.trim())) {
+    return null;
+  }
+  
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Idiomas a consultar, del más específico al más general:
+ * "es-AR" → ["es-AR", "es"], "pt-BR" → ["pt-BR", "pt", DEFAULT_LANG]
+ */
+export function getLanguageFallbackChain(lang) {
+  const tag = normalizeLanguageTag(lang);
+  const chain = [];
+  
+  if (tag) {
+    const subtags = tag.split('-');
+    for (let length = subtags.length; length > 0; length--) {
+      chain.push(subtags.slice(0, length).join('-'));
+    }
+  }
+  
+  if (!chain.includes(DEFAULT_LANG)) chain.push(DEFAULT_LANG);
+  return chain;
+}
+
+/**
+ * Idiomas disponibles: [{ code, name }] en el orden de lang/manifest.json
+ * (solo el idioma por defecto si no se puede leer)
+ */
+export async function loadLanguageManifest() {
+  return await loadManifestLocales() || [{ code: DEFAULT_LANG, name: getNativeName(DEFAULT_LANG) }];
+}
+
+/**
+ * Manifiesto de idiomas compartido por el menú y loadLang(); null si no se pudo leer
+ */
+function loadManifestLocales() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(LANG_MANIFEST_PATH)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(manifest => (manifest.locales || [])
+        .map(locale => ({ ...locale, code: normalizeLanguageTag(locale.code) }))
+        .filter(locale => locale.code)
+        .map(locale => ({ code: locale.code, name: locale.name || getNativeName(locale.code) })))
+      .catch(error => {
+        if (DEBUG_MODE) console.warn('No se pudo cargar el manifiesto de idiomas:', error);
+        manifestPromise = null;
+        return null;
+      });
+  }
+  return manifestPromise;
+}
+
+/**
+ * Nombre del idioma en el propio idioma ("español", "English")
+ */
+function getNativeName(code) {
+  try {
+    const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+  } catch (error) {
+    return code;
+  }
 }
 
+/**
+ * Carga las traducciones de un idioma combinando clave a clave su cadena de respaldo,
+ * de modo que un archivo regional (es-AR.json) solo necesita las claves que cambian.
+ * Solo se piden los archivos que lista lang/manifest.json (en-US o pt-BR no
+ * generan peticiones 404); sin manifiesto se prueba toda la cadena.
+ */
 export async function loadLang(lang) {
-  if (!isValidLanguageCode(lang)) {
+  const tag = normalizeLanguageTag(lang);
+  if (!tag) {
     console.warn(`Código de idioma inválido: ${lang}, usando ${DEFAULT_LANG}`);
-    lang = DEFAULT_LANG;
   }
   
-  if (translationCache.has(lang)) {
-    return translationCache.get(lang);
+  const requested = tag || DEFAULT_LANG;
+  if (translationCache.has(requested)) {
+    return translationCache.get(requested);
+  }
+  
+  const available = (await loadManifestLocales())?.map(locale => locale.code);
+  const chain = getLanguageFallbackChain(requested)
+    .filter(tag => !available || available.includes(tag) || tag === DEFAULT_LANG);
+  const files = await Promise.all(chain.map(loadLangFile));
+  
+  // Del más general al más específico para que gane la variante regional
+  const translations = Object.assign({}, ...files.filter(Boolean).reverse());
+  
+  if (!files[chain.indexOf(DEFAULT_LANG)]) {
+    console.error(`Error crítico: no se pudo cargar el idioma por defecto '${DEFAULT_LANG}'`);
   }
   
+  const resolved = chain.find((_, index) => files[index]);
+  if (!resolved) return {};
+  
+  // Si no existe ningún archivo del idioma pedido se recuerda el que realmente se usó
+  const language = resolved === DEFAULT_LANG && requested.split('-')[0] !== DEFAULT_LANG ? DEFAULT_LANG : requested;
+  translationCache.set(requested, translations);
+  localStorage.setItem('preferred-language', language);
+  return translations;
+}
+
+/**
+ * Descarga un único archivo de idioma; null si no existe (las variantes regionales son opcionales)
+ */
+async function loadLangFile(lang) {
   const path = `${LANG_PATH}${lang}.json`;
   
   try {
@@ -47,55 +176,360 @@ export async function loadLang(lang) {
       throw new Error('Formato de archivo de traducción inválido');
     }
     
-    translationCache.set(lang, translations);
-    localStorage.setItem('preferred-language', lang);
     return translations;
     
   } catch (error) {
-    console.warn(`Error cargando idioma '${lang}':`, error.message);
-    
-    if (lang !== DEFAULT_LANG) return await loadLang(DEFAULT_LANG);
-    
-    console.error(`Error crítico: no se pudo cargar el idioma por defecto '${DEFAULT_LANG}'`);
-    return {};
+    if (DEBUG_MODE || lang === DEFAULT_LANG) {
+      console.warn(`Error cargando idioma '${lang}':`, error.message);
+    }
+    return null;
   }
 }
 
+/**
+ * Aplica las traducciones a los elementos marcados dentro de `root`:
+ * - data-i18n="clave"                      → textContent
+ * - data-i18n-html="clave"                 → texto enriquecido (solo RICH_TEXT_TAGS)
+ * - data-i18n-attr="aria-label:clave;alt:otra" → atributos
+ */
 export function applyTranslations(translations, root = document) {
   if (!translations || typeof translations !== 'object') {
     console.warn('Objeto de traducciones inválido');
     return;
   }
   
-  const elements = root.querySelectorAll("[data-i18n]");
+  const elements = root.querySelectorAll("[data-i18n], [data-i18n-html], [data-i18n-attr]");
+  let requestedCount = 0;
   let translatedCount = 0;
   let missingTranslations = [];
   
-  elements.forEach((element) => {
-    const key = element.getAttribute("data-i18n");
-    if (!key) return;
-    
+  const resolve = (key) => {
+    requestedCount++;
     if (translations.hasOwnProperty(key)) {
-      element.textContent = translations[key];
       translatedCount++;
-    } else {
-      missingTranslations.push(key);
+      return translations[key];
+    }
+    missingTranslations.push(key);
+    return null;
+  };
+  
+  elements.forEach((element) => {
+    const htmlKey = element.getAttribute("data-i18n-html");
+    const textKey = element.getAttribute("data-i18n");
+    
+    if (htmlKey) {
+      const value = resolve(htmlKey);
+      if (value !== null) setRichText(element, value);
+    } else if (textKey) {
+      const value = resolve(textKey);
+      if (value !== null) element.textContent = value;
     }
+    
+    parseAttributeTranslations(element.getAttribute("data-i18n-attr")).forEach(([attribute, key]) => {
+      const value = resolve(key);
+      if (value !== null) element.setAttribute(attribute, value);
+    });
   });
   
-  if (elements.length > 0) {
-    console.log(`Traducciones aplicadas: ${translatedCount}/${elements.length}`);
+  if (requestedCount > 0) {
+    console.log(`Traducciones aplicadas: ${translatedCount}/${requestedCount}`);
     if (missingTranslations.length > 0) {
       console.warn('Traducciones faltantes:', missingTranslations);
     }
   }
 }
 
+/**
+ * Convierte "aria-label:share_aria;alt:logo_alt" en pares [atributo, clave]
+ * Los atributos de eventos (on*) se ignoran
+ */
+function parseAttributeTranslations(spec) {
+  if (!spec) return [];
+  
+  return spec.split(';')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([attribute, key]) => {
+      if (!attribute || !key) return false;
+      if (/^on/i.test(attribute)) {
+        console.warn(`Atributo no traducible: ${attribute}`);
+        return false;
+      }
+      return true;
+    });
+}
+
+/**
+ * Inserta una traducción con formato limitado sin ejecutar nada del HTML original
+ */
+function setRichText(element, html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  element.replaceChildren(sanitizeRichText(template.content));
+}
+
+function sanitizeRichText(source) {
+  const fragment = document.createDocumentFragment();
+  
+  source.childNodes.forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      fragment.append(node.textContent);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    
+    const children = sanitizeRichText(node);
+    if (!RICH_TEXT_TAGS.has(node.tagName)) {
+      fragment.append(children);
+      return;
+    }
+    
+    const clean = document.createElement(node.tagName.toLowerCase());
+    const href = node.getAttribute('href');
+    if (node.tagName === 'A' && isSafeHref(href)) {
+      clean.setAttribute('href', href);
+      if (/^https?:/i.test(href)) {
+        clean.target = '_blank';
+        clean.rel = 'noopener noreferrer';
+      }
+    }
+    clean.append(children);
+    fragment.append(clean);
+  });
+  
+  return fragment;
+}
+
+/**
+ * Solo enlaces http(s) y mailto (nunca javascript: ni data:). Se resuelve con el
+ * mismo parser que usará el navegador, que descarta espacios y tabuladores
+ * (" javascript:" o "java\tscript:" no pasan por rutas relativas)
+ */
+function isSafeHref(href) {
+  if (!href) return false;
+  try {
+    return SAFE_LINK_PROTOCOLS.includes(new URL(href, window.location.href).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
 export function getTranslation(translations, key, fallback = key) {
   if (!translations || typeof translations !== 'object') return fallback;
   return translations[key] || fallback;
 }
 
+/**
+ * Traduce una clave y rellena sus marcadores
+ * @param {Object} translations - Traducciones activas
+ * @param {string} key - Clave de traducción
+ * @param {Object} [params={}] - Valores por nombre de marcador
+ * @param {Object} [options]
+ * @param {string} [options.fallback=key] - Plantilla si falta la clave
+ * @param {string} [options.lang] - Idioma para plurales y formatos (por defecto el de <html>)
+ */
+export function formatTranslation(translations, key, params = {}, { fallback = key, lang } = {}) {
+  return formatMessage(getTranslation(translations, key, fallback), params, lang);
+}
+
+/**
+ * Rellena los marcadores de una plantilla; los que no tienen valor se dejan tal cual
+ * @param {string} template - Texto con marcadores
+ * @param {Object} [params={}] - Valores por nombre de marcador
+ * @param {string} [lang] - Idioma para plurales y formatos (por defecto el de <html>)
+ */
+export function formatMessage(template, params = {}, lang = getDocumentLanguage()) {
+  if (typeof template !== 'string' || !template.includes('{')) return template;
+  return formatParts(parseMessage(template), params, lang, null);
+}
+
+/**
+ * Nombres de los marcadores de una plantilla, incluidos los de las ramas de plural
+ * (lo usa scripts/check-translations.mjs para comparar idiomas)
+ * @returns {string[]} Nombres ordenados y sin repetir
+ */
+export function getMessagePlaceholders(template) {
+  if (typeof template !== 'string') return [];
+  
+  const names = new Set();
+  const collect = (parts) => parts.forEach((part) => {
+    if (typeof part === 'string') return;
+    names.add(part.name);
+    Object.values(part.branches || {}).forEach(collect);
+  });
+  collect(parseMessage(template));
+  
+  return [...names].sort();
+}
+
+function getDocumentLanguage() {
+  return (typeof document !== 'undefined' && document.documentElement.lang) || DEFAULT_LANG;
+}
+
+/**
+ * Divide la plantilla en texto literal y marcadores, respetando llaves anidadas
+ * (las ramas de plural contienen texto que a su vez puede tener marcadores)
+ */
+function parseMessage(template) {
+  const parts = [];
+  let text = '';
+  let index = 0;
+  
+  while (index < template.length) {
+    const char = template[index];
+    
+    if (char !== '{') {
+      text += char;
+      index++;
+      continue;
+    }
+    
+    const end = findClosingBrace(template, index);
+    if (end === -1) {
+      // Llave sin cerrar: se trata como texto
+      text += template.slice(index);
+      break;
+    }
+    
+    if (text) parts.push(text);
+    text = '';
+    parts.push(parsePlaceholder(template.slice(index + 1, end)));
+    index = end + 1;
+  }
+  
+  if (text) parts.push(text);
+  return parts;
+}
+
+function findClosingBrace(template, start) {
+  let depth = 0;
+  for (let i = start; i < template.length; i++) {
+    if (template[i] === '{') depth++;
+    if (template[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function parsePlaceholder(body) {
+  const [name, type = '', ...rest] = body.split(',');
+  const placeholder = { name: name.trim(), type: type.trim(), raw: `{${body}}` };
+  const argument = rest.join(',').trim();
+  
+  if (placeholder.type === 'plural') {
+    placeholder.branches = parsePluralBranches(argument);
+  } else {
+    placeholder.style = argument;
+  }
+  
+  return placeholder;
+}
+
+/**
+ * "=0 {ninguna} one {# carta} other {# cartas}" → { "=0": [...], one: [...], other: [...] }
+ */
+function parsePluralBranches(source) {
+  const branches = {};
+  let index = 0;
+  
+  while (index < source.length) {
+    const open = source.indexOf('{', index);
+    if (open === -1) break;
+    
+    const selector = source.slice(index, open).trim();
+    const close = findClosingBrace(source, open);
+    if (!selector || close === -1) break;
+    
+    branches[selector] = parseMessage(source.slice(open + 1, close));
+    index = close + 1;
+  }
+  
+  return branches;
+}
+
+function formatParts(parts, params, lang, pluralValue) {
+  return parts.map((part) => {
+    if (typeof part === 'string') {
+      return pluralValue === null ? part : part.replace(/#/g, formatNumber(pluralValue, lang));
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(params, part.name) || params[part.name] == null) {
+      if (DEBUG_MODE) console.warn(`Falta el parámetro "${part.name}" en la traducción:`, part.raw);
+      return part.raw;
+    }
+    
+    return formatValue(part, params[part.name], params, lang);
+  }).join('');
+}
+
+function formatValue(part, value, params, lang) {
+  switch (part.type) {
+    case 'plural': {
+      const number = Number(value);
+      const branch = part.branches[`=${number}`] ||
+                     part.branches[getIntl('PluralRules', lang).select(number)] ||
+                     part.branches.other;
+      if (!branch) {
+        if (DEBUG_MODE) console.warn(`Plural sin rama "other":`, part.raw);
+        return String(value);
+      }
+      return formatParts(branch, params, lang, number);
+    }
+    case 'number':
+      return formatNumber(value, lang, part.style === 'percent' ? { style: 'percent' } : undefined);
+    case 'date':
+      return formatDate(value, lang, part.style || 'medium');
+    default:
+      if (typeof value === 'number') return formatNumber(value, lang);
+      if (value instanceof Date) return formatDate(value, lang, 'medium');
+      return String(value);
+  }
+}
+
+function formatNumber(value, lang, options) {
+  return getIntl('NumberFormat', lang, options).format(Number(value));
+}
+
+function formatDate(value, lang, style) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return getIntl('DateTimeFormat', lang, { dateStyle: style }).format(date);
+}
+
+/**
+ * Los formateadores de Intl son costosos de crear; se reutilizan por idioma y opciones
+ */
+function getIntl(type, lang, options = {}) {
+  const cacheKey = `${type}|${lang}|${JSON.stringify(options)}`;
+  if (!intlCache.has(cacheKey)) {
+    let formatter;
+    try {
+      formatter = new Intl[type](lang, options);
+    } catch (error) {
+      // Código de idioma que Intl no reconoce: se usa el idioma por defecto
+      formatter = new Intl[type](DEFAULT_LANG, options);
+    }
+    intlCache.set(cacheKey, formatter);
+  }
+  return intlCache.get(cacheKey);
+}
+
+/**
+ * Obtiene el valor de un mapa localizado de cards.json ({ es: "...", en: "..." })
+ * @param {Object} values - Mapa idioma → texto
+ * @param {string} lang - Idioma preferido (se recorre su cadena de respaldo, ej. es-AR → es)
+ * @param {string} [fallback=''] - Valor si no hay traducción en ningún idioma de la cadena
+ */
+export function getLocalizedValue(values, lang, fallback = '') {
+  if (!values || typeof values !== 'object') return fallback;
+  
+  for (const tag of getLanguageFallbackChain(lang)) {
+    if (values[tag]) return values[tag];
+  }
+  return fallback;
+}
+
+/**
+ * Carga otro idioma y vuelve a aplicar texto, texto enriquecido y atributos
+ */
 export async function switchLanguage(newLang, root = document) {
   try {
     const translations = await loadLang(newLang);
@@ -0,0 +1,103 @@
+/**
+ * language-switcher.js - Menú de idioma compartido por todas las páginas
+ * Proyecto: Super X Immersive Cards
+ *
+ * Lista los idiomas de lang/manifest.json en un <select>. Al elegir uno:
+ * - switchLanguage() vuelve a aplicar data-i18n y emite `languageChanged`
+ *   para que cada página actualice sus textos dinámicos
+ * - la elección se guarda en `preferred-language` (la misma clave que lee detectUserLanguage)
+ * - se actualiza ?lang= con history.replaceState, sin recargar
+ */
+
+import { DEBUG_MODE } from "./config.js";
+import { loadLang, applyTranslations, switchLanguage, getLanguageFallbackChain, loadLanguageManifest } from "./lang.js";
+
+/**
+ * Crea el menú dentro de `container`
+ * @param {HTMLElement} container - Elemento donde se inserta el menú
+ * @param {string} currentLang - Idioma con el que se inicializó la página
+ * @returns {Promise<HTMLSelectElement|null>} El menú, o null si solo hay un idioma
+ */
+export async function setupLanguageSwitcher(container, currentLang) {
+  if (!container) return null;
+
+  const locales = await loadLanguageManifest();
+  if (locales.length < 2) {
+    container.hidden = true;
+    return null;
+  }
+
+  const select = document.createElement('select');
+  select.id = `${container.id || 'page'}_select`;
+  select.className = 'language-select';
+  select.setAttribute('data-i18n-attr', 'aria-label:language_label');
+  select.setAttribute('aria-label', 'Idioma');
+
+  locales.forEach(({ code, name }) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = name;
+    select.append(option);
+  });
+
+  select.value = findClosestLocale(currentLang, locales);
+  container.replaceChildren(select);
+  container.hidden = false;
+
+  // La página ya aplicó sus traducciones antes de crear el menú (loadLang las tiene en caché)
+  try {
+    applyTranslations(await loadLang(currentLang), container);
+  } catch (error) {
+    if (DEBUG_MODE) console.warn('No se pudo traducir el menú de idioma:', error);
+  }
+
+  select.addEventListener('change', () => selectLanguage(select, locales));
+
+  // Mantiene el menú sincronizado si otro código cambia el idioma
+  window.addEventListener('languageChanged', (event) => {
+    select.value = findClosestLocale(event.detail.language, locales);
+  });
+
+  return select;
+}
+
+/**
+ * Aplica el idioma elegido; si falla se vuelve a mostrar el anterior
+ * @private
+ */
+async function selectLanguage(select, locales) {
+  const previous = document.documentElement.lang;
+  const lang = select.value;
+  select.disabled = true;
+
+  try {
+    await switchLanguage(lang);
+    localStorage.setItem('preferred-language', lang);
+    updateLanguageParam(lang);
+  } catch (error) {
+    if (DEBUG_MODE) console.error('Error cambiando de idioma:', error);
+    select.value = findClosestLocale(previous, locales);
+  } finally {
+    select.disabled = false;
+  }
+}
+
+/**
+ * Refleja el idioma en ?lang= para que recargar o compartir el enlace lo conserve
+ * @private
+ */
+function updateLanguageParam(lang) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('lang', lang);
+  history.replaceState(history.state, '', url);
+}
+
+/**
+ * Opción del menú que corresponde a un idioma (es-MX → es si no hay es-MX)
+ * @private
+ */
+function findClosestLocale(lang, locales) {
+  const codes = locales.map(locale => locale.code);
+  return getLanguageFallbackChain(lang).find(tag => codes.includes(tag)) || codes[0];
+}
@@ -0,0 +1,77 @@
+/**
+ * motion.js - Modo de movimiento reducido
+ * Proyecto: Super X Immersive Cards
+ *
+ * Por defecto se sigue `prefers-reduced-motion`. El botón de card.html permite
+ * forzar el modo en uno u otro sentido; la elección se guarda en localStorage
+ * (MOTION_CONFIG.storageKey). Cada cambio se refleja en <html data-motion>
+ * para el CSS y se emite `motionChanged` en window.
+ */
+
+import { MOTION_CONFIG, DEBUG_MODE } from "./config.js";
+import { prefersReducedMotion } from "./utils.js";
+
+const mediaQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+
+/**
+ * true si hay que reducir el movimiento (elección guardada o, si no hay, la del sistema)
+ */
+export function isReducedMotion() {
+  const stored = getStoredPreference();
+  return stored ? stored === 'reduce' : prefersReducedMotion();
+}
+
+/**
+ * Guarda la elección del usuario y avisa del cambio
+ * @param {boolean} reduced - true para reducir el movimiento
+ */
+export function setReducedMotion(reduced) {
+  try {
+    localStorage.setItem(MOTION_CONFIG.storageKey, reduced ? 'reduce' : 'full');
+  } catch (error) {
+    if (DEBUG_MODE) console.warn('No se pudo guardar la preferencia de movimiento:', error);
+  }
+  notifyMotionChange();
+}
+
+/**
+ * Conecta el botón de movimiento reducido (aria-pressed refleja el estado)
+ * y empieza a seguir los cambios de prefers-reduced-motion
+ * @param {HTMLButtonElement|null} button
+ */
+export function setupMotionToggle(button) {
+  applyMotionAttribute();
+  mediaQuery?.addEventListener('change', () => {
+    if (!getStoredPreference()) notifyMotionChange();
+  });
+
+  if (!button) return;
+
+  const render = () => button.setAttribute('aria-pressed', String(isReducedMotion()));
+  render();
+  button.hidden = false;
+  button.addEventListener('click', () => setReducedMotion(!isReducedMotion()));
+  window.addEventListener('motionChanged', render);
+}
+
+/* ===================== AUXILIARES ===================== */
+
+function getStoredPreference() {
+  try {
+    const value = localStorage.getItem(MOTION_CONFIG.storageKey);
+    return value === 'reduce' || value === 'full' ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function applyMotionAttribute() {
+  document.documentElement.dataset.motion = isReducedMotion() ? 'reduce' : 'full';
+}
+
+function notifyMotionChange() {
+  applyMotionAttribute();
+  window.dispatchEvent(new CustomEvent('motionChanged', {
+    detail: { reduced: isReducedMotion() }
+  }));
+}
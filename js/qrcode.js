@@ -0,0 +1,493 @@
+/**
+ * qrcode.js - Generador de códigos QR sin dependencias
+ * Proyecto: Super X Immersive Cards
+ *
+ * Codifica texto en modo byte (UTF-8), versiones 1-40 y niveles de corrección
+ * L/M/Q/H según ISO/IEC 18004. Funciona en el navegador y en Node
+ * (los scripts de impresión lo reutilizan para SVG y PNG).
+ */
+
+/* =====================
+   TABLAS DEL ESTÁNDAR
+===================== */
+
+// Bits de formato de cada nivel de corrección
+const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Codewords de corrección por bloque, indexado por versión (posición 0 sin uso)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// Número de bloques de corrección, indexado por versión (posición 0 sin uso)
+const ECC_BLOCK_COUNT = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Pesos de penalización para elegir la máscara
+const PENALTY = { N1: 3, N2: 3, N3: 40, N4: 10 };
+
+/* =====================
+   API PÚBLICA
+===================== */
+
+/**
+ * Genera la matriz de módulos de un código QR
+ * @param {string} text - Texto a codificar (UTF-8)
+ * @param {Object} [options]
+ * @param {('L'|'M'|'Q'|'H')} [options.errorCorrection='M'] - Nivel de corrección de errores
+ * @returns {{size: number, version: number, modules: boolean[][]}} true = módulo oscuro
+ */
+export function createQrMatrix(text, options = {}) {
+  const ecl = options.errorCorrection || 'M';
+  if (!(ecl in ECC_FORMAT_BITS)) {
+    throw new Error(`Nivel de corrección inválido: ${ecl}`);
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  const version = findVersion(bytes.length, ecl);
+  const dataCodewords = encodeData(bytes, version, ecl);
+  const allCodewords = addErrorCorrection(dataCodewords, version, ecl);
+
+  const qr = new QrBuilder(version, ecl);
+  qr.drawFunctionPatterns();
+  qr.drawCodewords(allCodewords);
+
+  // Se prueban las 8 máscaras y se queda la de menor penalización
+  let bestMask = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    qr.applyMask(mask);
+    qr.drawFormatBits(mask);
+    const score = qr.getPenaltyScore();
+    if (score < bestScore) {
+      bestMask = mask;
+      bestScore = score;
+    }
+    qr.applyMask(mask); // XOR: aplicarla de nuevo la deshace
+  }
+  qr.applyMask(bestMask);
+  qr.drawFormatBits(bestMask);
+
+  return { size: qr.size, version, modules: qr.modules };
+}
+
+/**
+ * Convierte una matriz QR en un documento SVG
+ * @param {Object} matrix - Resultado de createQrMatrix()
+ * @param {Object} [options]
+ * @param {number} [options.margin=4] - Zona silenciosa en módulos
+ * @param {number} [options.scale=8] - Píxeles por módulo (tamaño del SVG)
+ * @param {string} [options.dark='#000000'] - Color de los módulos oscuros
+ * @param {string} [options.light='#ffffff'] - Color de fondo
+ */
+export function qrToSvg(matrix, options = {}) {
+  const { margin = 4, scale = 8, dark = '#000000', light = '#ffffff' } = options;
+  const total = matrix.size + margin * 2;
+  const path = [];
+
+  matrix.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" ` +
+    `width="${total * scale}" height="${total * scale}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="${light}"/>` +
+    `<path d="${path.join('')}" fill="${dark}"/></svg>`;
+}
+
+/**
+ * Dibuja una matriz QR en un canvas (solo navegador)
+ * @param {HTMLCanvasElement} canvas - Canvas de destino (se redimensiona)
+ * @param {Object} matrix - Resultado de createQrMatrix()
+ * @param {Object} [options] - Mismas opciones que qrToSvg()
+ */
+export function renderQrToCanvas(canvas, matrix, options = {}) {
+  const { margin = 4, scale = 8, dark = '#000000', light = '#ffffff' } = options;
+  const total = (matrix.size + margin * 2) * scale;
+  const context = canvas.getContext('2d');
+
+  canvas.width = total;
+  canvas.height = total;
+  context.fillStyle = light;
+  context.fillRect(0, 0, total, total);
+  context.fillStyle = dark;
+
+  matrix.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+    });
+  });
+}
+
+/* =====================
+   CODIFICACIÓN DE DATOS
+===================== */
+
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, ecl) {
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecl][version] * ECC_BLOCK_COUNT[ecl][version];
+}
+
+function getCountBits(version) {
+  return version <= 9 ? 8 : 16;
+}
+
+function findVersion(byteLength, ecl) {
+  for (let version = 1; version <= 40; version++) {
+    const usedBits = 4 + getCountBits(version) + byteLength * 8;
+    if (usedBits <= getNumDataCodewords(version, ecl) * 8) return version;
+  }
+  throw new Error('Texto demasiado largo para un código QR');
+}
+
+function encodeData(bytes, version, ecl) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4); // Modo byte
+  append(bytes.length, getCountBits(version));
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacityBits = getNumDataCodewords(version, ecl) * 8;
+  append(0, Math.min(4, capacityBits - bits.length)); // Terminador
+  append(0, (8 - bits.length % 8) % 8);
+
+  // Relleno alterno 0xEC / 0x11 hasta completar la capacidad
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/* =====================
+   REED-SOLOMON
+===================== */
+
+function rsMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsComputeDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = rsMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = rsMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsComputeRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= rsMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Divide los datos en bloques, añade la corrección y entrelaza el resultado
+ */
+function addErrorCorrection(data, version, ecl) {
+  const numBlocks = ECC_BLOCK_COUNT[ecl][version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsComputeDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+
+    const ecc = rsComputeRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0); // Hueco para igualar longitudes al entrelazar
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/* =====================
+   CONSTRUCCIÓN DE LA MATRIZ
+===================== */
+
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+class QrBuilder {
+  constructor(version, ecl) {
+    this.version = version;
+    this.ecl = ecl;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunctionModule(x, y, isDark) {
+    this.modules[y][x] = isDark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    // Patrones de sincronización
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Patrones de localización en tres esquinas
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(this.size - 4, 3);
+    this.drawFinderPattern(3, this.size - 4);
+
+    // Patrones de alineación (salvo donde coinciden con los localizadores)
+    const positions = this.getAlignmentPositions();
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        this.drawAlignmentPattern(x, y);
+      });
+    });
+
+    // Reserva de las zonas de formato y versión
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  getAlignmentPositions() {
+    if (this.version === 1) return [];
+
+    const numAlign = Math.floor(this.version / 7) + 2;
+    const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let position = this.size - 7; result.length < numAlign; position -= step) {
+      result.splice(1, 0, position);
+    }
+    return result;
+  }
+
+  drawFormatBits(mask) {
+    const data = (ECC_FORMAT_BITS[this.ecl] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    // Primera copia, junto al localizador superior izquierdo
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+    this.setFunctionModule(8, 7, getBit(bits, 6));
+    this.setFunctionModule(8, 8, getBit(bits, 7));
+    this.setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+    // Segunda copia, repartida entre los otros dos localizadores
+    for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, getBit(bits, i));
+    this.setFunctionModule(8, this.size - 8, true); // Módulo siempre oscuro
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const isDark = getBit(bits, i);
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, isDark);
+      this.setFunctionModule(b, a, isDark);
+    }
+  }
+
+  drawCodewords(data) {
+    let i = 0;
+    // Recorre columnas de dos en dos, de derecha a izquierda y en zigzag vertical
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Salta la columna de sincronización
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.isFunction[y][x]) continue;
+
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+          case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+        }
+        if (invert) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  /* ----- Penalización para elegir máscara ----- */
+
+  getPenaltyScore() {
+    let result = 0;
+    const size = this.size;
+    const get = (x, y, transposed) => (transposed ? this.modules[x][y] : this.modules[y][x]);
+
+    // Rachas del mismo color y patrones parecidos a localizadores (filas y columnas)
+    for (const transposed of [false, true]) {
+      for (let y = 0; y < size; y++) {
+        let runColor = false;
+        let runLength = 0;
+        const history = [0, 0, 0, 0, 0, 0, 0];
+        for (let x = 0; x < size; x++) {
+          if (get(x, y, transposed) === runColor) {
+            runLength++;
+            if (runLength === 5) result += PENALTY.N1;
+            else if (runLength > 5) result++;
+          } else {
+            this.addRunToHistory(runLength, history);
+            if (!runColor) result += this.countFinderPatterns(history) * PENALTY.N3;
+            runColor = get(x, y, transposed);
+            runLength = 1;
+          }
+        }
+        result += this.terminateRunHistory(runColor, runLength, history) * PENALTY.N3;
+      }
+    }
+
+    // Bloques 2x2 del mismo color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = this.modules[y][x];
+        if (color === this.modules[y][x + 1] &&
+            color === this.modules[y + 1][x] &&
+            color === this.modules[y + 1][x + 1]) {
+          result += PENALTY.N2;
+        }
+      }
+    }
+
+    // Proporción de módulos oscuros
+    const dark = this.modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += k * PENALTY.N4;
+
+    return result;
+  }
+
+  countFinderPatterns(history) {
+    const n = history[1];
+    const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+    return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+           (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+  }
+
+  terminateRunHistory(runColor, runLength, history) {
+    if (runColor) {
+      this.addRunToHistory(runLength, history);
+      runLength = 0;
+    }
+    this.addRunToHistory(runLength + this.size, history);
+    return this.countFinderPatterns(history);
+  }
+
+  addRunToHistory(runLength, history) {
+    if (history[0] === 0) runLength += this.size; // Borde claro implícito
+    history.pop();
+    history.unshift(runLength);
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * tilt.js - Girar la carta inclinando el dispositivo
+ * Proyecto: Super X Immersive Cards
+ *
+ * Traduce las lecturas de DeviceOrientationEvent (beta/gamma) a theta/phi de la
+ * cámara de model-viewer. La primera lectura tras activar el modo, o tras una
+ * pausa, se toma como posición neutra (calibración) junto con la órbita que
+ * tenga la cámara en ese momento; a partir de ahí se gira lo que se incline.
+ * CardViewerApp decide cuándo escuchar y cuándo pausar (arrastre, hold, video).
+ * TiltTracker guarda el estado entre lecturas sin tocar el DOM; test/tilt.test.mjs
+ * lo recorre con lecturas sintéticas (node --test).
+ *
+ * En el navegador, sin giroscopio, DEBUG_MODE expone window.cardViewerApp:
+ *   await cardViewerApp.setTiltEnabled(true);
+ *   window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta: 60, gamma: 15 }));
+ * o con el panel "Sensors" de las herramientas de desarrollo de Chrome.
+ */
+
+// Límites de phi de model-viewer cuando la órbita mínima/máxima es "auto"
+const DEFAULT_PHI_LIMITS = { min: 22.5, max: 157.5 };
+
+/**
+ * true si el navegador expone DeviceOrientationEvent en un dispositivo táctil
+ * (los navegadores de escritorio lo definen aunque no tengan sensor)
+ */
+export function isTiltSupported() {
+  return typeof window !== 'undefined' &&
+    'DeviceOrientationEvent' in window &&
+    Boolean(window.matchMedia?.('(pointer: coarse)').matches);
+}
+
+/**
+ * Pide permiso para leer la orientación. En iOS 13+ hay que llamarla desde el
+ * gesto del usuario (click); el resto de navegadores no pide nada.
+ * @returns {Promise<('granted'|'denied')>}
+ */
+export async function requestTiltPermission() {
+  const requestPermission = window.DeviceOrientationEvent?.requestPermission;
+  if (typeof requestPermission !== 'function') return 'granted';
+
+  try {
+    return await requestPermission.call(window.DeviceOrientationEvent) === 'granted' ? 'granted' : 'denied';
+  } catch (error) {
+    // Safari rechaza la petición si no viene de un gesto del usuario
+    return 'denied';
+  }
+}
+
+/**
+ * Ángulo de rotación de la pantalla (0, 90, 180 o 270)
+ */
+export function getScreenAngle() {
+  if (typeof window === 'undefined') return 0;
+  const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+  return ((Number(angle) % 360) + 360) % 360;
+}
+
+/**
+ * Inclinación en los ejes de la pantalla: x (izquierda/derecha) e y (adelante/atrás)
+ * @param {{beta: (number|null), gamma: (number|null)}} event - DeviceOrientationEvent o un objeto equivalente
+ * @param {number} [screenAngle=0] - Rotación de la pantalla (getScreenAngle())
+ * @returns {{x: number, y: number}|null} null si el evento no trae datos (sin sensor)
+ */
+export function readTilt(event, screenAngle = 0) {
+  const { beta, gamma } = event || {};
+  if (!Number.isFinite(beta) || !Number.isFinite(gamma)) return null;
+
+  // En horizontal los ejes del dispositivo quedan girados respecto a la pantalla
+  switch (screenAngle) {
+    case 90: return { x: beta, y: -gamma };
+    case 180: return { x: -gamma, y: -beta };
+    case 270: return { x: -beta, y: gamma };
+    default: return { x: gamma, y: beta };
+  }
+}
+
+/**
+ * Calcula la órbita para una inclinación respecto a la calibración
+ * @param {{x: number, y: number}} tilt - Lectura de readTilt()
+ * @param {{x: number, y: number, theta: number, phi: number}} calibration - Lectura neutra y órbita (en grados) en ese momento
+ * @param {Object} [limits] - Límites de la carta en grados (null: sin límite / los de model-viewer)
+ * @param {Object} [settings] - TILT_CONFIG
+ * @returns {{theta: number, phi: number}} Grados
+ */
+export function mapTiltToOrbit(tilt, calibration, limits = {}, settings = {}) {
+  const { sensitivity = { theta: 1, phi: 1 }, deadZone = 0, maxTilt = 90 } = settings;
+
+  const delta = (value, origin) => {
+    const angle = clamp(wrapDegrees(value - origin), -maxTilt, maxTilt);
+    return Math.sign(angle) * Math.max(0, Math.abs(angle) - deadZone);
+  };
+
+  // Inclinar a la derecha muestra el lado derecho: la cámara gira en sentido contrario
+  return {
+    theta: clamp(
+      calibration.theta - delta(tilt.x, calibration.x) * sensitivity.theta,
+      limits.minTheta ?? -Infinity,
+      limits.maxTheta ?? Infinity
+    ),
+    phi: clamp(
+      calibration.phi + delta(tilt.y, calibration.y) * sensitivity.phi,
+      limits.minPhi ?? DEFAULT_PHI_LIMITS.min,
+      limits.maxPhi ?? DEFAULT_PHI_LIMITS.max
+    )
+  };
+}
+
+/**
+ * true si la inclinación se sale de maxTilt en algún eje (p. ej. el dispositivo
+ * se dejó sobre la mesa); si dura, conviene recalibrar
+ */
+export function isBeyondMaxTilt(tilt, calibration, maxTilt = 90) {
+  return Math.abs(wrapDegrees(tilt.x - calibration.x)) > maxTilt ||
+    Math.abs(wrapDegrees(tilt.y - calibration.y)) > maxTilt;
+}
+
+/**
+ * Filtro exponencial: avanza una fracción `factor` (0-1) del camino hacia la órbita objetivo
+ */
+export function smoothOrbit(previous, target, factor) {
+  if (!previous) return target;
+  return {
+    theta: previous.theta + (target.theta - previous.theta) * factor,
+    phi: previous.phi + (target.phi - previous.phi) * factor
+  };
+}
+
+/* ===================== ESTADO ENTRE LECTURAS ===================== */
+
+/**
+ * Calibración, suavizado y recalibración del giro de una lectura a la siguiente.
+ * CardViewerApp le pasa cada evento y aplica la órbita que devuelve.
+ */
+export class TiltTracker {
+  /**
+   * @param {Object} settings - TILT_CONFIG
+   * @param {Object} [options]
+   * @param {Function} [options.onUnavailable] - Tras unavailableAfter ms sin ninguna lectura válida
+   * @param {Function} [options.now=Date.now] - Reloj para recalibrateAfter
+   */
+  constructor(settings, { onUnavailable = () => {}, now = Date.now } = {}) {
+    this.settings = settings;
+    this.onUnavailable = onUnavailable;
+    this.now = now;
+    this.unavailableTimer = null;
+    this.reset();
+  }
+
+  /**
+   * La próxima lectura pasa a ser la posición neutra; `base` es la órbita que le
+   * corresponde (por defecto, la que tenga la cámara en ese momento)
+   */
+  reset(base = null) {
+    this.calibration = null;
+    this.current = null;
+    this.base = base;
+    this.beyondSince = null;
+  }
+
+  /**
+   * Deja de esperar lecturas (al desactivar el modo)
+   */
+  stop() {
+    clearTimeout(this.unavailableTimer);
+    this.unavailableTimer = null;
+    this.reset();
+  }
+
+  /**
+   * Procesa una lectura
+   * @param {Object} event - DeviceOrientationEvent o un objeto con beta y gamma
+   * @param {Object} context
+   * @param {number} [context.screenAngle=0] - getScreenAngle()
+   * @param {boolean} [context.active=true] - false mientras el giro está en pausa
+   * @param {Function} context.getOrbit - Órbita de la cámara en grados ({theta, phi, radius}) o null si no está lista
+   * @param {Object} [context.limits] - Límites de la carta (ver mapTiltToOrbit)
+   * @param {number} [context.smoothing] - Sustituye a settings.smoothing (1: sin suavizado)
+   * @returns {{theta: number, phi: number, radius: number}|null} Órbita a aplicar, o null si la lectura no mueve la cámara
+   */
+  update(event, { screenAngle = 0, active = true, getOrbit, limits = {}, smoothing = this.settings.smoothing } = {}) {
+    const tilt = readTilt(event, screenAngle);
+
+    // Los navegadores de escritorio emiten el evento sin datos; algunos móviles
+    // también envían lecturas vacías sueltas mientras arranca el sensor
+    if (!tilt) {
+      if (this.unavailableTimer === null) {
+        this.unavailableTimer = setTimeout(() => {
+          this.unavailableTimer = null;
+          this.onUnavailable();
+        }, this.settings.unavailableAfter);
+      }
+      return null;
+    }
+    clearTimeout(this.unavailableTimer);
+    this.unavailableTimer = null;
+
+    // Tras una pausa se recalibra sin perder la órbita a la que se llegó
+    if (!active) {
+      this.calibration = null;
+      return null;
+    }
+
+    const calibration = this.calibration;
+    if (!calibration || calibration.screenAngle !== screenAngle) {
+      this.calibrate(tilt, screenAngle, getOrbit);
+      return null;
+    }
+
+    // Si la postura cambió (p. ej. el dispositivo quedó sobre la mesa), pasa a ser la neutra
+    const { maxTilt, recalibrateAfter } = this.settings;
+    if (isBeyondMaxTilt(tilt, calibration, maxTilt)) {
+      if (this.beyondSince === null) {
+        this.beyondSince = this.now();
+      } else if (this.now() - this.beyondSince >= recalibrateAfter) {
+        this.reset({ ...this.current, radius: calibration.radius });
+        return null;
+      }
+    } else {
+      this.beyondSince = null;
+    }
+
+    const target = mapTiltToOrbit(tilt, calibration, limits, this.settings);
+    this.current = smoothOrbit(this.current, target, smoothing);
+    return { ...this.current, radius: calibration.radius };
+  }
+
+  /**
+   * Guarda la lectura neutra y la órbita de la que parte el giro
+   * @private
+   */
+  calibrate(tilt, screenAngle, getOrbit) {
+    const orbit = this.base || getOrbit?.();
+    if (!orbit) return;
+
+    this.calibration = { ...tilt, screenAngle, ...orbit };
+    this.current = { theta: orbit.theta, phi: orbit.phi };
+    this.base = null;
+    this.beyondSince = null;
+  }
+}
+
+/* ===================== AUXILIARES ===================== */
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Lleva un ángulo a (-180, 180] para que cruzar ±180° no dé un salto de vuelta entera
+ */
+function wrapDegrees(angle) {
+  const wrapped = ((angle + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+}
@@ -4,6 +4,8 @@
  * VERSIÓN SIMPLIFICADA - Solo funciones utilizadas
  */
 
+import { DEBUG_MODE } from "./config.js";
+
 /* =====================
    SISTEMA DE PARTÍCULAS
 ===================== */
@@ -18,6 +20,7 @@
  * @param {number} [config.minDistance=20] - Distancia mínima
  * @param {number} [config.maxDistance=80] - Distancia máxima
  * @param {number} [config.duration=2000] - Duración antes de limpiar
+ * @param {boolean} [config.reducedMotion] - Sin partículas (por defecto, según prefers-reduced-motion)
  */
 export function spawnParticles(x, y, container, config = {}) {
   if (!container?.appendChild) {
@@ -30,9 +33,12 @@ export function spawnParticles(x, y, container, config = {}) {
     minDistance: 20,
     maxDistance: 80,
     duration: 2000,
+    reducedMotion: prefersReducedMotion(),
     ...config
   };
   
+  if (settings.reducedMotion) return;
+  
   const fragment = document.createDocumentFragment();
   const particles = [];
   
@@ -173,11 +179,14 @@ export function isModelViewerReady(viewer) {
  * @param {Object} config - Configuración de snap
  * @param {number[]} [config.snapAngles=[0, 180]] - Ángulos de snap
  * @param {number} [config.defaultPhi=90] - Ángulo phi por defecto
+ * @param {boolean} [config.jump] - Saltar al ángulo sin animar (por defecto, según prefers-reduced-motion)
+ * @returns {{theta: number, phi: number, radius: number}|undefined} Órbita de destino (grados y metros)
  */
 export function snapToNearestSide(viewer, config = {}) {
   const settings = {
     snapAngles: [0, 180],
     defaultPhi: 90,
+    jump: prefersReducedMotion(),
     ...config
   };
   
@@ -194,6 +203,11 @@ export function snapToNearestSide(viewer, config = {}) {
     const targetDegrees = getClosestSnapAngle(currentDegrees, settings.snapAngles);
     
     viewer.cameraOrbit = `${targetDegrees}deg ${settings.defaultPhi}deg ${orbit.radius}m`;
+    if (settings.jump) {
+      viewer.jumpCameraToGoal();
+    }
+    
+    return { theta: targetDegrees, phi: settings.defaultPhi, radius: orbit.radius };
     
   } catch (error) {
     console.error('Error en snapToNearestSide:', error);
@@ -254,6 +268,378 @@ export async function validateResource(url, config = {}) {
   }
 }
 
+/**
+ * Devuelve la primera URL disponible de una lista, comprobándolas en orden
+ * Se detiene en cuanto una responde, así que solo se valida lo necesario
+ * @param {string[]} urls - URLs candidatas por orden de preferencia
+ * @param {Function} isAvailable - Comprobación async (url) => boolean
+ * @returns {Promise<string|null>} URL válida o null si ninguna lo es
+ */
+export async function findFirstAvailableResource(urls, isAvailable) {
+  for (const url of urls) {
+    if (await isAvailable(url)) return url;
+  }
+  return null;
+}
+
+/* =====================
+   SOPORTE OFFLINE
+===================== */
+
+/**
+ * Registra el service worker si el navegador lo soporta
+ * @param {Object} config - Configuración del service worker
+ * @param {boolean} [config.enabled=true] - Si está habilitado
+ * @param {string} [config.path='sw.js'] - Ruta del script
+ * @param {string} [config.scope='./'] - Alcance del registro
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker(config = {}) {
+  const settings = {
+    enabled: true,
+    path: 'sw.js',
+    scope: './',
+    ...config
+  };
+  
+  if (!settings.enabled || !('serviceWorker' in navigator)) return null;
+  
+  try {
+    // updateViaCache 'none' para detectar cambios en sw-manifest.js en cada deploy
+    return await navigator.serviceWorker.register(settings.path, {
+      scope: settings.scope,
+      updateViaCache: 'none'
+    });
+  } catch (error) {
+    if (DEBUG_MODE) console.warn('No se pudo registrar el service worker:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Indica si un recurso ya está guardado en alguna caché del service worker
+ */
+export async function isResourceCached(url) {
+  if (!url || typeof caches === 'undefined') return false;
+  
+  try {
+    return Boolean(await caches.match(new URL(url, window.location.href).href));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pide al service worker que guarde los recursos indicados para uso offline
+ * @param {string[]} urls - Recursos a cachear (se ignoran valores vacíos)
+ */
+export async function requestOfflineCache(urls) {
+  if (!('serviceWorker' in navigator)) return;
+  
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({
+      type: 'CACHE_CARD',
+      urls: urls.filter(Boolean).map(url => new URL(url, window.location.href).href)
+    });
+  } catch (error) {
+    if (DEBUG_MODE) console.warn('No se pudo solicitar la caché offline:', error.message);
+  }
+}
+
+/* =====================
+   REINTENTOS
+===================== */
+
+/**
+ * Ejecuta una tarea asíncrona reintentando con backoff exponencial
+ * @param {Function} task - Función async; recibe el número de intento (empieza en 1)
+ * @param {Object} config - Configuración de reintentos
+ * @param {number} [config.maxAttempts=3] - Intentos totales, incluido el primero
+ * @param {number} [config.baseDelay=1000] - Espera antes del primer reintento (ms)
+ * @param {number} [config.maxDelay=8000] - Espera máxima entre intentos (ms)
+ * @param {number} [config.factor=2] - Multiplicador de la espera en cada intento
+ * @param {number} [config.jitter=0.2] - Variación aleatoria, como proporción de la espera
+ * @param {Function} [config.shouldRetry] - Recibe el error y decide si se reintenta
+ * @param {Function} [config.onRetry] - Callback (error, nextAttempt, delay) antes de esperar
+ */
+export async function retryWithBackoff(task, config = {}) {
+  const settings = {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 8000,
+    factor: 2,
+    jitter: 0.2,
+    shouldRetry: () => true,
+    onRetry: () => {},
+    ...config
+  };
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= settings.maxAttempts || !settings.shouldRetry(error)) throw error;
+      
+      const exponential = Math.min(settings.baseDelay * settings.factor ** (attempt - 1), settings.maxDelay);
+      const delay = Math.round(exponential * (1 + (Math.random() * 2 - 1) * settings.jitter));
+      
+      settings.onRetry(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/* =====================
+   CALIDAD DE ASSETS
+===================== */
+
+/**
+ * Elige el nivel de calidad según red, memoria y pantalla del dispositivo
+ * @param {Object} config - Configuración de calidad
+ * @param {string[]} [config.tiers=['low','high']] - Niveles de menor a mayor calidad
+ * @param {string} [config.defaultTier='high'] - Nivel si nada obliga a bajar
+ * @param {string} [config.urlParam='quality'] - Parámetro de URL que fuerza un nivel
+ * @param {Object} [config.lowTier] - Umbrales que fuerzan el nivel más bajo
+ * @returns {{tier: string, reason: string}}
+ */
+export function detectQualityTier(config = {}) {
+  const settings = {
+    tiers: ['low', 'high'],
+    defaultTier: 'high',
+    urlParam: 'quality',
+    ...config,
+    lowTier: {
+      connectionTypes: ['slow-2g', '2g', '3g'],
+      maxDeviceMemory: 2,
+      maxScreenPixels: 720,
+      ...config.lowTier
+    }
+  };
+  const lowest = settings.tiers[0];
+  
+  const forced = new URLSearchParams(window.location.search).get(settings.urlParam);
+  if (forced && settings.tiers.includes(forced)) return { tier: forced, reason: 'url' };
+  
+  const connection = navigator.connection || {};
+  if (connection.saveData) return { tier: lowest, reason: 'saveData' };
+  if (settings.lowTier.connectionTypes.includes(connection.effectiveType)) {
+    return { tier: lowest, reason: `connection:${connection.effectiveType}` };
+  }
+  
+  if (navigator.deviceMemory && navigator.deviceMemory <= settings.lowTier.maxDeviceMemory) {
+    return { tier: lowest, reason: `deviceMemory:${navigator.deviceMemory}` };
+  }
+  
+  const screenPixels = Math.min(window.screen.width, window.screen.height) * (window.devicePixelRatio || 1);
+  if (screenPixels && screenPixels < settings.lowTier.maxScreenPixels) {
+    return { tier: lowest, reason: `screen:${Math.round(screenPixels)}` };
+  }
+  
+  return { tier: settings.defaultTier, reason: 'default' };
+}
+
+/**
+ * Devuelve las variantes de un asset ordenadas por preferencia para un nivel
+ * Primero el nivel pedido, luego los inferiores (más ligeros) y al final los superiores.
+ * Si el valor no es un mapa por niveles se devuelve como única variante.
+ * @param {*} value - Valor de cards.json (único o mapa { low, high, ... })
+ * @param {string} tier - Nivel elegido
+ * @param {string[]} tiers - Niveles de menor a mayor calidad
+ * @returns {Array<{tier: string|null, value: *}>}
+ */
+export function getQualityVariants(value, tier, tiers = ['low', 'high']) {
+  const isTierMap = value && typeof value === 'object' && !Array.isArray(value) &&
+    tiers.some(name => name in value);
+  
+  if (!isTierMap) return value === undefined ? [] : [{ tier: null, value }];
+  
+  const index = Math.max(tiers.indexOf(tier), 0);
+  const order = [
+    ...tiers.slice(0, index + 1).reverse(),
+    ...tiers.slice(index + 1)
+  ];
+  
+  return order
+    .filter(name => value[name] !== undefined)
+    .map(name => ({ tier: name, value: value[name] }));
+}
+
+/**
+ * Obtiene el valor de un asset para un nivel concreto (o el más cercano)
+ */
+export function getQualityValue(value, tier, tiers = ['low', 'high']) {
+  return getQualityVariants(value, tier, tiers)[0]?.value;
+}
+
+/* =====================
+   FUENTES DE VIDEO
+===================== */
+
+/**
+ * Normaliza el campo `video` de una carta a una lista de fuentes con tipo MIME
+ * Acepta el formato antiguo (una cadena) y el nuevo (array de {src, type})
+ * @param {string|Array<{src: string, type?: string}>} video - Valor de cards.json
+ * @param {Object} [mimeTypes={}] - Mapa extensión → tipo MIME para fuentes sin `type`
+ * @returns {Array<{src: string, type: string}>}
+ */
+export function normalizeVideoSources(video, mimeTypes = {}) {
+  const entries = Array.isArray(video) ? video : [video];
+  
+  return entries
+    .map(entry => (typeof entry === 'string' ? { src: entry } : entry))
+    .filter(entry => entry && typeof entry.src === 'string' && entry.src)
+    .map(entry => {
+      const extension = entry.src.split('?')[0].split('.').pop().toLowerCase();
+      return { src: entry.src, type: entry.type || mimeTypes[extension] || '' };
+    });
+}
+
+/**
+ * Filtra y ordena las fuentes que el elemento multimedia puede reproducir
+ * Prioriza "probably" sobre "maybe"; a igual respuesta respeta el orden original
+ * @param {Array<{src: string, type: string}>} sources - Fuentes normalizadas
+ * @param {HTMLMediaElement} mediaElement - Elemento usado para consultar canPlayType
+ */
+export function getPlayableVideoSources(sources, mediaElement) {
+  if (typeof mediaElement?.canPlayType !== 'function') return [...sources];
+  
+  const rank = { probably: 2, maybe: 1 };
+  
+  return sources
+    .map((source, index) => ({
+      source,
+      index,
+      // Sin tipo declarado no podemos preguntar: lo dejamos como último recurso
+      score: source.type ? (rank[mediaElement.canPlayType(source.type)] || 0) : 0.5
+    }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(candidate => candidate.source);
+}
+
+/* =====================
+   PROGRESO DE CARGA
+===================== */
+
+/**
+ * Crea un agregador de progreso que pondera cada recurso por su tamaño en bytes
+ * @param {Object<string, number>} sizes - Mapa recurso → tamaño en bytes
+ * @param {Function} [onUpdate] - Callback con { resource, fraction, progress, loadedBytes, totalBytes }
+ * @returns {{update: Function, complete: Function, getProgress: Function}}
+ */
+export function createProgressAggregator(sizes, onUpdate = () => {}) {
+  const weights = Object.fromEntries(
+    Object.entries(sizes).map(([name, size]) => [name, size > 0 ? size : 0])
+  );
+  const fractions = Object.fromEntries(Object.keys(weights).map(name => [name, 0]));
+  const totalBytes = Object.values(weights).reduce((sum, size) => sum + size, 0);
+  
+  const getProgress = () => {
+    if (!totalBytes) return 0;
+    const loaded = Object.keys(weights).reduce((sum, name) => sum + fractions[name] * weights[name], 0);
+    return loaded / totalBytes;
+  };
+  
+  const update = (resource, fraction) => {
+    if (!(resource in fractions)) return;
+    
+    const clamped = Math.min(Math.max(Number(fraction) || 0, 0), 1);
+    // El progreso de un recurso nunca retrocede
+    if (clamped <= fractions[resource]) return;
+    
+    fractions[resource] = clamped;
+    const progress = getProgress();
+    onUpdate({
+      resource,
+      fraction: clamped,
+      progress,
+      loadedBytes: Math.round(progress * totalBytes),
+      totalBytes
+    });
+  };
+  
+  return {
+    update,
+    complete: (resource) => update(resource, 1),
+    getProgress
+  };
+}
+
+/**
+ * Calcula la fracción del video ya descargada a partir de sus rangos `buffered`
+ * @param {HTMLMediaElement} media - Elemento de video o audio
+ * @returns {number} Valor entre 0 y 1
+ */
+export function getBufferedFraction(media) {
+  const duration = media?.duration;
+  if (!duration || !Number.isFinite(duration) || !media.buffered?.length) return 0;
+  
+  let bufferedEnd = 0;
+  for (let i = 0; i < media.buffered.length; i++) {
+    bufferedEnd = Math.max(bufferedEnd, media.buffered.end(i));
+  }
+  
+  return Math.min(bufferedEnd / duration, 1);
+}
+
+/* =====================
+   FIRMAS
+===================== */
+
+/**
+ * Firma un mensaje con HMAC-SHA256 y devuelve los primeros caracteres en base64url
+ * La clave se publica con el sitio: la firma detecta códigos alterados o mal copiados,
+ * no protege frente a quien lea el código fuente.
+ * @param {string} message - Texto a firmar
+ * @param {string} secret - Clave compartida
+ * @param {number} [length=12] - Caracteres de la firma resultante
+ * @returns {Promise<string>}
+ */
+export async function signMessage(message, secret, length = 12) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+
+  return toBase64Url(new Uint8Array(signature)).slice(0, length);
+}
+
+/**
+ * Comprueba que una firma corresponda al mensaje
+ * La longitud la fija la configuración, nunca la firma recibida: si no, una
+ * firma de un carácter se adivinaría en 64 intentos.
+ * @param {string} message - Texto firmado
+ * @param {string} signature - Firma recibida
+ * @param {string} secret - Clave compartida
+ * @param {number} length - Caracteres que debe tener la firma (el mismo valor usado en signMessage)
+ * @returns {Promise<boolean>}
+ */
+export async function verifySignature(message, signature, secret, length) {
+  if (typeof signature !== 'string' || !Number.isInteger(length) || length < 1 ||
+      signature.length !== length) {
+    return false;
+  }
+
+  const expected = await signMessage(message, secret, length);
+  // Comparación completa para no revelar en qué carácter difiere
+  let difference = expected.length ^ length;
+  for (let i = 0; i < length; i++) {
+    difference |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+function toBase64Url(bytes) {
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
 /* =====================
    SISTEMA DE COMPARTIR
 ===================== */
@@ -399,24 +785,50 @@ export function detectPlatform(config = {}) {
   return settings.fallback;
 }
 
+/* =====================
+   REALIDAD AUMENTADA
+===================== */
+
+/**
+ * Obtiene el valor de `ar-modes` de model-viewer adecuado para una plataforma
+ * @param {string} platform - Plataforma devuelta por detectPlatform()
+ * @param {Object} config - Configuración de AR (AR_CONFIG)
+ * @param {Object} config.modesByPlatform - Mapa plataforma → ar-modes (con clave 'default')
+ * @returns {string} Lista de modos separada por espacios
+ */
+export function getARModesForPlatform(platform, config = {}) {
+  const modes = config.modesByPlatform || {};
+  return modes[platform] || modes.default;
+}
+
 /* =====================
    FUNCIONES AUXILIARES
 ===================== */
 
+/**
+ * true si el sistema pide reducir el movimiento (prefers-reduced-motion: reduce)
+ */
+export function prefersReducedMotion() {
+  return typeof window !== 'undefined' &&
+    window.matchMedia?.('(prefers-reduced-motion: reduce)').matches === true;
+}
+
 /**
  * Activa vibración háptica configurable
  * @param {Object} config - Configuración de vibración
  * @param {number|Array} [config.pattern=50] - Patrón de vibración
  * @param {boolean} [config.enabled=true] - Si está habilitada
+ * @param {boolean} [config.reducedMotion] - Sin vibración (por defecto, según prefers-reduced-motion)
  */
 export function triggerHapticFeedback(config = {}) {
   const settings = {
     pattern: 50,
     enabled: true,
+    reducedMotion: prefersReducedMotion(),
     ...config
   };
   
-  if (!navigator.vibrate || !settings.enabled) return;
+  if (!navigator.vibrate || !settings.enabled || settings.reducedMotion) return;
   
   try {
     navigator.vibrate(settings.pattern);
@@ -429,6 +841,8 @@ export function triggerHapticFeedback(config = {}) {
  * Sistema de notificaciones completamente configurable
  * @param {string} message - Mensaje a mostrar
  * @param {Object} config - Configuración completa de la notificación
+ * @param {string} [config.translationKey] - Clave del mensaje; se guarda en data-i18n para que
+ *   applyTranslations lo vuelva a traducir si se cambia de idioma mientras está visible
  */
 export function showNotification(message, config = {}) {
   const settings = {
@@ -466,6 +880,9 @@ export function showNotification(message, config = {}) {
   const notification = document.createElement('div');
   notification.className = `notification ${settings.type}`;
   notification.textContent = message;
+  if (settings.translationKey) {
+    notification.dataset.i18n = settings.translationKey;
+  }
   
   // Aplicar estilos
   const baseStyles = {
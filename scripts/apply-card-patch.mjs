@@ -0,0 +1,67 @@
+/**
+ * apply-card-patch.mjs - Aplica a data/cards.json un parche exportado por tools/author.html
+ * Proyecto: Super X Immersive Cards
+ *
+ * El parche es un JSON Merge Patch (RFC 7396) con las cartas como claves:
+ * { "<id>": { "hotspots": [...], "viewer": { "cameraOrbit": "..." } } }
+ * Un valor null borra el campo. Solo se modifican cartas que ya existen.
+ *
+ * Uso:
+ *   node scripts/apply-card-patch.mjs card-patch.json
+ *   node scripts/apply-card-patch.mjs card-patch.json --dry-run   (muestra el resultado sin escribir)
+ *
+ * Después conviene ejecutar node scripts/validate-cards.mjs
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { CARDS_DATA_PATH } from "../js/config.js";
+import { applyMergePatch } from "../js/authoring.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const DATA_PATH = join(ROOT, CARDS_DATA_PATH);
+
+/* ===================== ARGUMENTOS ===================== */
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "dry-run": { type: "boolean", default: false }
+  }
+});
+
+if (positionals.length !== 1) {
+  console.error("Uso: node scripts/apply-card-patch.mjs <parche.json> [--dry-run]");
+  process.exit(1);
+}
+
+/* ===================== APLICACIÓN ===================== */
+
+const text = await readFile(DATA_PATH, "utf8");
+const cards = JSON.parse(text);
+const patch = JSON.parse(await readFile(positionals[0], "utf8"));
+
+const unknown = Object.keys(patch).filter(cardId => !cards[cardId]);
+if (unknown.length) {
+  console.error(`✗ Cartas inexistentes en ${CARDS_DATA_PATH}: ${unknown.join(", ")}`);
+  process.exit(1);
+}
+
+Object.entries(patch).forEach(([cardId, cardPatch]) => {
+  cards[cardId] = applyMergePatch(cards[cardId], cardPatch);
+  console.log(`✓ ${cardId}: ${Object.keys(cardPatch).join(", ") || "sin cambios"}`);
+});
+
+// Se conservan los saltos de línea del archivo original (y si termina o no en uno)
+const eol = text.includes("\r\n") ? "\r\n" : "\n";
+const output = JSON.stringify(cards, null, 2).replace(/\n/g, eol) + (text.endsWith("\n") ? eol : "");
+
+if (options["dry-run"]) {
+  process.stdout.write(output);
+} else {
+  await writeFile(DATA_PATH, output);
+  console.log(`\n${CARDS_DATA_PATH} actualizado. Ejecuta node scripts/validate-cards.mjs para comprobarlo.`);
+}
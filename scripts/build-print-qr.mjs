@@ -0,0 +1,313 @@
+/**
+ * build-print-qr.mjs - Genera los QR de impresión de cada carta
+ * Proyecto: Super X Immersive Cards
+ *
+ * Lee data/cards.json y el dominio del CNAME y escribe, por carta, un SVG y un
+ * PNG con el QR de card.html?id=<id>, más una hoja de contactos imprimible
+ * (contact-sheet.html) con el título y la URL de cada código.
+ * Con --serials se generan en su lugar las URLs firmadas de cada copia
+ * numerada (las mismas que scripts/sign-card-urls.mjs), que son las que
+ * card.js acepta sin que la carta esté ya en la colección.
+ * Los QR sin firma no abren la carta a quien la escanee por primera vez, así
+ * que sin --serials solo se generan para AUTHENTICITY_CONFIG.legacyUnsignedIds.
+ *
+ * Uso:
+ *   node scripts/build-print-qr.mjs
+ *   node scripts/build-print-qr.mjs --card e3y7pz --ecc H --margin 6 --scale 12
+ *   node scripts/build-print-qr.mjs --serials 1-50 --out print/tirada-1
+ *   node scripts/build-print-qr.mjs --card e3y7pz --serials all --printing foil --out print/foil
+ *
+ * Opciones:
+ *   --card <id>      Solo esa carta (repetible)
+ *   --ecc <L|M|Q|H>  Nivel de corrección de errores (por defecto Q)
+ *   --margin <n>     Zona silenciosa en módulos (por defecto 4, el mínimo del estándar)
+ *   --scale <n>      Píxeles por módulo en el PNG (por defecto 10)
+ *   --serials <a-b>  Copias numeradas a generar ("all" = toda la tirada)
+ *   --printing <id>  Impresión especial de `printings` (foil, holo...); requiere --serials
+ *   --lang <código>  Idioma de los títulos en la hoja de contactos
+ *   --base <url>     URL de card.html (por defecto https://<CNAME>/card.html)
+ *   --out <dir>      Directorio de salida (por defecto print/)
+ */
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { deflateSync } from "node:zlib";
+
+import { AUTHENTICITY_CONFIG, CARDS_DATA_PATH, DEFAULT_LANG } from "../js/config.js";
+import { getLocalizedValue } from "../js/lang.js";
+import { createSignedCardUrl, formatSerial, getEditionSize } from "../js/authenticity.js";
+import { createQrMatrix, qrToSvg } from "../js/qrcode.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const ECC_LEVELS = ["L", "M", "Q", "H"];
+
+/* ===================== ARGUMENTOS ===================== */
+
+const { values: options } = parseArgs({
+  options: {
+    card: { type: "string", multiple: true },
+    ecc: { type: "string", default: "Q" },
+    margin: { type: "string", default: "4" },
+    scale: { type: "string", default: "10" },
+    serials: { type: "string" },
+    printing: { type: "string" },
+    lang: { type: "string", default: DEFAULT_LANG },
+    base: { type: "string" },
+    out: { type: "string", default: "print" }
+  }
+});
+
+function toInteger(value, name, min) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`--${name} debe ser un entero mayor o igual a ${min} (recibido: ${value})`);
+  }
+  return number;
+}
+
+/**
+ * Interpreta --serials: "all" o un rango "a-b" (recortado a la tirada de cada carta)
+ * @returns {{from: number, to: number}|null}
+ */
+function parseSerialRange(value) {
+  if (!value) return null;
+  if (value === "all") return { from: 1, to: Infinity };
+
+  const match = /^(\d+)-(\d+)$/.exec(value);
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > Number(match[2])) {
+    throw new Error(`--serials debe ser "all" o un rango como 1-50 (recibido: ${value})`);
+  }
+  return { from: Number(match[1]), to: Number(match[2]) };
+}
+
+const settings = {
+  ecc: options.ecc.toUpperCase(),
+  margin: toInteger(options.margin, "margin", 0),
+  scale: toInteger(options.scale, "scale", 1),
+  serials: parseSerialRange(options.serials),
+  printing: options.printing || null,
+  outDir: resolve(options.out)
+};
+
+if (!ECC_LEVELS.includes(settings.ecc)) {
+  throw new Error(`--ecc debe ser uno de ${ECC_LEVELS.join(", ")} (recibido: ${options.ecc})`);
+}
+
+// Sin firma la impresión no se acepta, así que solo tiene sentido en copias numeradas
+if (settings.printing && !settings.serials) {
+  throw new Error("--printing necesita --serials");
+}
+
+/* ===================== PNG ===================== */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Codifica la matriz como PNG en escala de grises de 8 bits
+ */
+function qrToPng(matrix, { margin, scale }) {
+  const size = (matrix.size + margin * 2) * scale;
+  const raw = Buffer.alloc((size + 1) * size, 0xFF);
+
+  for (let y = 0; y < size; y++) {
+    const rowStart = y * (size + 1);
+    raw[rowStart] = 0; // Filtro "None"
+    const moduleY = Math.floor(y / scale) - margin;
+
+    for (let x = 0; x < size; x++) {
+      const moduleX = Math.floor(x / scale) - margin;
+      if (matrix.modules[moduleY]?.[moduleX]) {
+        raw[rowStart + 1 + x] = 0x00;
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // Bits por canal
+  header[9] = 0; // Escala de grises
+  header[10] = 0; // Compresión
+  header[11] = 0; // Filtros
+  header[12] = 0; // Sin entrelazado
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(raw, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+/* ===================== HOJA DE CONTACTOS ===================== */
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function buildContactSheet(entries) {
+  const items = entries.map(entry => `    <figure>
+      <img src="${escapeHtml(entry.svgPath)}" alt="QR ${escapeHtml(entry.name)}" />
+      <figcaption>
+        <strong>${escapeHtml(entry.title)}</strong>
+        ${entry.serial ? `<span>${escapeHtml(entry.serial)}</span>` : ""}
+        <code>${escapeHtml(entry.url)}</code>
+      </figcaption>
+    </figure>`).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(options.lang)}">
+<head>
+  <meta charset="UTF-8" />
+  <title>Super X - Hoja de QR (${entries.length})</title>
+  <style>
+    @page { size: A4; margin: 12mm; }
+    body { font-family: system-ui, sans-serif; margin: 0; color: #000; }
+    header { margin-bottom: 8mm; font-size: 10pt; }
+    main { display: grid; grid-template-columns: repeat(4, 1fr); gap: 6mm; }
+    figure { margin: 0; text-align: center; break-inside: avoid; }
+    img { width: 100%; height: auto; }
+    figcaption { display: flex; flex-direction: column; gap: 1mm; font-size: 8pt; }
+    code { font-size: 6pt; word-break: break-all; }
+  </style>
+</head>
+<body>
+  <header>
+    ${entries.length} códigos · corrección ${settings.ecc} · zona silenciosa ${settings.margin} módulos · generado ${new Date().toISOString()}
+  </header>
+  <main>
+${items}
+  </main>
+</body>
+</html>
+`;
+}
+
+/* ===================== GENERACIÓN ===================== */
+
+async function getDefaultBaseUrl() {
+  const domain = (await readFile(join(ROOT, "CNAME"), "utf8")).trim();
+  return `https://${domain}/card.html`;
+}
+
+/**
+ * Lista las URLs a codificar: una por carta o una por copia numerada
+ */
+async function collectTargets(cards, baseUrl) {
+  const cardIds = options.card || Object.keys(cards);
+  const targets = [];
+
+  for (const cardId of cardIds) {
+    const card = cards[cardId];
+    if (!card) {
+      console.warn(`⚠ ${cardId}: no existe en cards.json, se omite`);
+      continue;
+    }
+
+    const title = getLocalizedValue(card.title, options.lang, "");
+    if (!title) {
+      console.warn(`⚠ ${cardId}: sin título en "${options.lang}"`);
+    }
+
+    if (!settings.serials) {
+      // card.js rechaza los QR sin firma de cartas que no estén en la lista de QR antiguos
+      if (AUTHENTICITY_CONFIG.enabled && !AUTHENTICITY_CONFIG.legacyUnsignedIds.includes(cardId)) {
+        throw new Error(`${cardId}: los QR sin firma solo valen para AUTHENTICITY_CONFIG.legacyUnsignedIds. Usa --serials`);
+      }
+      const url = new URL(baseUrl);
+      url.searchParams.set("id", cardId);
+      targets.push({ cardId, title: title || cardId, url: url.href, name: cardId, serial: null });
+      continue;
+    }
+
+    const { printing } = settings;
+    if (printing && !card.printings?.[printing]) {
+      console.warn(`⚠ ${cardId}: no tiene la impresión "${printing}", se omite`);
+      continue;
+    }
+
+    const editionSize = getEditionSize(card, printing);
+    if (!editionSize) {
+      console.warn(`⚠ ${cardId}: sin edition.size, no se pueden numerar copias`);
+      continue;
+    }
+
+    const printingLabel = printing ? getLocalizedValue(card.printings[printing].label, options.lang, printing) : "";
+    const to = Math.min(settings.serials.to, editionSize);
+    for (let serial = settings.serials.from; serial <= to; serial++) {
+      const formatted = formatSerial(serial, editionSize);
+      targets.push({
+        cardId,
+        title: printingLabel ? `${title || cardId} · ${printingLabel}` : title || cardId,
+        url: await createSignedCardUrl(baseUrl, cardId, serial, editionSize, printing),
+        name: printing ? `${cardId}-${printing}-${formatted}` : `${cardId}-${formatted}`,
+        serial: `${formatted} / ${editionSize}`
+      });
+    }
+  }
+
+  return targets;
+}
+
+async function build() {
+  const cards = JSON.parse(await readFile(join(ROOT, CARDS_DATA_PATH), "utf8"));
+  const baseUrl = options.base || await getDefaultBaseUrl();
+  const targets = await collectTargets(cards, baseUrl);
+
+  const qrDir = join(settings.outDir, "qr");
+  await mkdir(qrDir, { recursive: true });
+
+  const entries = [];
+  for (const target of targets) {
+    const matrix = createQrMatrix(target.url, { errorCorrection: settings.ecc });
+    const svgFile = join(qrDir, `${target.name}.svg`);
+
+    await writeFile(svgFile, qrToSvg(matrix, { margin: settings.margin, scale: settings.scale }));
+    await writeFile(join(qrDir, `${target.name}.png`), qrToPng(matrix, settings));
+
+    entries.push({
+      ...target,
+      svgPath: relative(settings.outDir, svgFile).split("\\").join("/")
+    });
+  }
+
+  await writeFile(join(settings.outDir, "contact-sheet.html"), buildContactSheet(entries));
+
+  console.log(`${entries.length} QR generados en ${relative(process.cwd(), settings.outDir) || "."} ` +
+    `(corrección ${settings.ecc}, zona silenciosa ${settings.margin})`);
+
+  if (!entries.length) {
+    process.exitCode = 1;
+  }
+}
+
+await build();
@@ -0,0 +1,94 @@
+/**
+ * build-sw-manifest.mjs - Genera sw-manifest.js para el service worker
+ * Proyecto: Super X Immersive Cards
+ *
+ * Calcula un hash del app shell y otro de los assets de las cartas.
+ * El service worker usa esas versiones como nombre de caché, así que
+ * cada deploy que cambie archivos invalida automáticamente lo anterior.
+ *
+ * Uso: node scripts/build-sw-manifest.mjs   (ejecutar antes de cada deploy)
+ */
+
+import { createHash } from "node:crypto";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { join, relative, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const OUTPUT = join(ROOT, "sw-manifest.js");
+
+/* ===================== ARCHIVOS INCLUIDOS ===================== */
+
+// Directorio → extensiones que forman parte del app shell
+const SHELL_SOURCES = [
+  [".", [".html"]],
+  ["css", [".css"]],
+  ["js", [".js"]],
+  ["lang", [".json"]],
+  ["data", [".json"]]
+];
+
+const SHELL_EXTRA = ["assets/images/logo.png", "assets/favicon.ico"];
+
+// Solo para desarrollo local (como tools/): card.js lo importa bajo demanda con ?author
+const SHELL_EXCLUDE = ["js/authoring.js"];
+
+// Recursos de terceros cacheados con el shell (sin bloquear la instalación si fallan)
+const EXTERNAL = ["https://unpkg.com/@google/model-viewer/dist/model-viewer.min.js"];
+
+// Directorios con los assets de las cartas (se cachean al abrir cada carta)
+const ASSET_DIRS = ["assets/models", "assets/videos", "assets/images"];
+
+/* ===================== UTILIDADES ===================== */
+
+async function listFiles(dir, extensions = null) {
+  const entries = await readdir(join(ROOT, dir), { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile())
+    .filter(entry => !extensions || extensions.some(ext => entry.name.endsWith(ext)))
+    .map(entry => toUrlPath(join(dir, entry.name)))
+    .sort();
+}
+
+function toUrlPath(path) {
+  return relative(ROOT, join(ROOT, path)).split(sep).join("/");
+}
+
+async function hashFiles(paths) {
+  const hash = createHash("sha256");
+  for (const path of paths) {
+    hash.update(path);
+    hash.update(await readFile(join(ROOT, path)));
+  }
+  return hash.digest("hex").slice(0, 12);
+}
+
+/* ===================== GENERACIÓN ===================== */
+
+async function buildManifest() {
+  const shell = [];
+  for (const [dir, extensions] of SHELL_SOURCES) {
+    shell.push(...(await listFiles(dir, extensions)).filter(path => !SHELL_EXCLUDE.includes(path)));
+  }
+  shell.push(...SHELL_EXTRA);
+
+  const assets = [];
+  for (const dir of ASSET_DIRS) {
+    assets.push(...await listFiles(dir));
+  }
+
+  return {
+    version: await hashFiles(shell),
+    assetsVersion: await hashFiles(assets.filter(path => !shell.includes(path))),
+    shell,
+    external: EXTERNAL
+  };
+}
+
+const manifest = await buildManifest();
+const source = "/* Generado por scripts/build-sw-manifest.mjs - no editar a mano */\n" +
+  `self.SW_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`;
+
+// CRLF como el resto del repositorio, para que regenerarlo solo cambie los hashes
+await writeFile(OUTPUT, source.replace(/\n/g, "\r\n"));
+console.log(`sw-manifest.js generado (shell ${manifest.version}, assets ${manifest.assetsVersion}, ${manifest.shell.length} archivos)`);
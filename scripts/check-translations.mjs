@@ -0,0 +1,321 @@
+/**
+ * check-translations.mjs - Comprueba que los archivos de lang/ estén completos
+ * Proyecto: Super X Immersive Cards
+ *
+ * Reúne las claves que usa el sitio (data-i18n, data-i18n-html y data-i18n-attr
+ * en los HTML; getTranslation, formatTranslation, getText, formatText y pares
+ * ["clave", "texto por defecto"] en js/) y las compara con cada lang/*.json:
+ * - error: clave usada que falta en un idioma base (es, en...)
+ * - error: clave con caracteres invisibles o de control (no coincide nunca con el HTML)
+ * - error: marcadores distintos a los del idioma por defecto ({cardTitle}, {n, plural...})
+ * - error: variante regional (es-AR) con claves que su idioma base no tiene
+ * - error: idioma del manifiesto sin archivo
+ * - aviso: clave que nada usa, texto con caracteres invisibles, archivo fuera del manifiesto
+ *
+ * Uso:
+ *   node scripts/check-translations.mjs              (código de salida 1 si hay errores)
+ *   node scripts/check-translations.mjs --strict     (los avisos también fallan)
+ */
+
+import { readdir, readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { DEFAULT_LANG, LANG_PATH, LANG_MANIFEST_PATH } from "../js/config.js";
+import { getLanguageFallbackChain, getMessagePlaceholders } from "../js/lang.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const LOCALE_FILE = /^([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)\.json$/;
+const KEY_FORMAT = /^[a-z0-9_]+$/;
+
+// Caracteres de control y de formato (U+200E, U+200B, U+FEFF...). En los textos se
+// permiten saltos de línea, tabuladores y el ZWJ de los emojis compuestos.
+const INVISIBLE = /[\p{Cc}\p{Cf}]/gu;
+const ALLOWED_IN_TEXT = new Set(["\n", "\t", "\u200D"]);
+
+// Llamadas cuyo argumento de clave es un literal
+const JS_KEY_PATTERNS = [
+  /\b(?:getTranslation|formatTranslation)\(\s*[\w.]+\s*,\s*(["'])(.+?)\1/g,
+  /\b(?:getText|formatText)\(\s*(["'])(.+?)\1/g,
+  // Pares ["clave_con_guion_bajo", "texto por defecto"] de los mapas de mensajes
+  /\[\s*(["'])([a-z0-9]+_[a-z0-9_]+)\1\s*,\s*["'`]/g
+];
+
+const { values: options } = parseArgs({
+  options: {
+    strict: { type: "boolean", default: false }
+  }
+});
+
+/* ===================== CLAVES USADAS ===================== */
+
+async function listFiles(dir, extension) {
+  const files = await readdir(join(ROOT, dir));
+  return files.filter(file => file.endsWith(extension)).map(file => join(dir, file)).sort();
+}
+
+function addUse(uses, key, location) {
+  if (!uses.has(key)) uses.set(key, []);
+  uses.get(key).push(location);
+}
+
+/**
+ * Claves de data-i18n, data-i18n-html y data-i18n-attr ("alt:clave;aria-label:otra")
+ */
+function collectHtmlKeys(text, file, uses) {
+  for (const match of text.matchAll(/data-i18n(-html|-attr)?\s*=\s*(["'])(.*?)\2/g)) {
+    const line = text.slice(0, match.index).split("\n").length;
+    const keys = match[1] === "-attr"
+      ? match[3].split(";").map(pair => pair.split(":")[1]?.trim()).filter(Boolean)
+      : [match[3]];
+    keys.forEach(key => addUse(uses, key, `${file}:${line}`));
+  }
+}
+
+function collectJsKeys(text, file, uses, literals) {
+  for (const pattern of JS_KEY_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const line = text.slice(0, match.index).split("\n").length;
+      addUse(uses, match[2], `${file}:${line}`);
+    }
+  }
+
+  // data-i18n-attr asignado desde JS (setAttribute('data-i18n-attr', 'aria-label:clave'))
+  for (const match of text.matchAll(/['"]data-i18n-attr['"]\s*,\s*(["'])(.*?)\1/g)) {
+    const line = text.slice(0, match.index).split("\n").length;
+    match[2].split(";").map(pair => pair.split(":")[1]?.trim()).filter(Boolean)
+      .forEach(key => addUse(uses, key, `${file}:${line}`));
+  }
+
+  // Cualquier literal cuenta como uso para no marcar sin usar las claves que se eligen
+  // de forma dinámica (mapas de mensajes, data-i18n asignado en tiempo de ejecución)
+  for (const match of text.matchAll(/(["'])([a-z0-9_]+)\1/g)) {
+    literals.add(match[2]);
+  }
+}
+
+async function collectUsedKeys() {
+  const uses = new Map();
+  const literals = new Set();
+
+  for (const file of await listFiles(".", ".html")) {
+    collectHtmlKeys(await readFile(join(ROOT, file), "utf8"), file, uses);
+  }
+  for (const file of await listFiles("js", ".js")) {
+    collectJsKeys(await readFile(join(ROOT, file), "utf8"), file, uses, literals);
+  }
+
+  return { uses, literals };
+}
+
+/* ===================== IDIOMAS ===================== */
+
+async function loadLocales() {
+  const locales = new Map();
+  const problems = [];
+
+  for (const file of await readdir(join(ROOT, LANG_PATH))) {
+    const locale = LOCALE_FILE.exec(file)?.[1];
+    if (!locale) continue;
+
+    try {
+      locales.set(locale, JSON.parse(await readFile(join(ROOT, LANG_PATH, file), "utf8")));
+    } catch (error) {
+      problems.push({ locale, message: `no es JSON válido: ${error.message}` });
+    }
+  }
+
+  return { locales, problems };
+}
+
+async function loadManifestCodes() {
+  try {
+    const manifest = JSON.parse(await readFile(join(ROOT, LANG_MANIFEST_PATH), "utf8"));
+    return (manifest.locales || []).map(locale => locale.code);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Muestra los caracteres invisibles como U+XXXX para que se vean en la consola
+ */
+function describeInvisible(text, allowed = new Set()) {
+  const found = [...text.matchAll(INVISIBLE)]
+    .map(match => match[0])
+    .filter(char => !allowed.has(char))
+    .map(char => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}`);
+  return [...new Set(found)];
+}
+
+function visibleKey(key) {
+  return key.replace(INVISIBLE, char => `<U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}>`);
+}
+
+/* ===================== COMPROBACIONES ===================== */
+
+function checkKeys(locale, translations, report) {
+  Object.entries(translations).forEach(([key, value]) => {
+    const invisible = describeInvisible(key);
+    if (invisible.length) {
+      report.error(`"${visibleKey(key)}": la clave contiene ${invisible.join(", ")}; ` +
+        `debería ser "${key.replace(INVISIBLE, "")}"`);
+    } else if (!KEY_FORMAT.test(key)) {
+      report.warning(`"${key}": formato de clave no habitual (se esperan minúsculas, dígitos y _)`);
+    }
+
+    if (typeof value !== "string") {
+      report.error(`"${visibleKey(key)}": el valor no es texto`);
+      return;
+    }
+
+    const hidden = describeInvisible(value, ALLOWED_IN_TEXT);
+    if (hidden.length) {
+      report.warning(`"${visibleKey(key)}": el texto contiene ${hidden.join(", ")}`);
+    }
+  });
+}
+
+/**
+ * Un idioma base (sin región) tiene que cubrir lo que usa el sitio y lo que tiene el idioma por defecto
+ */
+function checkBaseLocale(locale, translations, defaults, uses, report) {
+  uses.forEach((locations, key) => {
+    if (!(key in translations)) {
+      report.error(`"${key}": falta (usada en ${locations.slice(0, 3).join(", ")}` +
+        `${locations.length > 3 ? ` y ${locations.length - 3} más` : ""})`);
+    }
+  });
+
+  if (locale === DEFAULT_LANG) return;
+
+  Object.keys(defaults).filter(key => !(key in translations) && !uses.has(key)).forEach(key => {
+    report.error(`"${visibleKey(key)}": falta (existe en ${DEFAULT_LANG}.json)`);
+  });
+}
+
+/**
+ * Una variante regional solo sobrescribe claves de su cadena de respaldo
+ */
+function checkRegionalLocale(locale, translations, locales, report) {
+  const parents = getLanguageFallbackChain(locale).slice(1).filter(tag => locales.has(tag));
+  if (!parents.length) {
+    report.error(`no existe el archivo de ningún idioma de su cadena (${getLanguageFallbackChain(locale).slice(1).join(" → ")})`);
+    return;
+  }
+
+  Object.keys(translations)
+    .filter(key => !parents.some(parent => key in locales.get(parent)))
+    .forEach(key => report.error(`"${visibleKey(key)}": no existe en ${parents[0]}.json`));
+}
+
+/**
+ * Compara los marcadores con el texto del que hereda cada clave
+ */
+function checkPlaceholders(locale, translations, locales, report) {
+  const chain = getLanguageFallbackChain(locale).slice(1);
+
+  Object.entries(translations).forEach(([key, value]) => {
+    const reference = chain.map(tag => locales.get(tag)?.[key]).find(text => typeof text === "string");
+    if (typeof value !== "string" || reference === undefined) return;
+
+    const expected = getMessagePlaceholders(reference);
+    const actual = getMessagePlaceholders(value);
+    if (expected.join() !== actual.join()) {
+      const format = names => names.length ? names.map(name => `{${name}}`).join(" ") : "ninguno";
+      report.error(`"${visibleKey(key)}": marcadores ${format(actual)}, se esperaban ${format(expected)}`);
+    }
+  });
+}
+
+function checkUnused(translations, uses, literals, report) {
+  Object.keys(translations)
+    .filter(key => !uses.has(key) && !literals.has(key))
+    .forEach(key => report.warning(`"${visibleKey(key)}": no se usa en ningún HTML ni en js/`));
+}
+
+/* ===================== INFORME ===================== */
+
+function createReport() {
+  const entries = new Map();
+  const forLocale = (locale) => {
+    if (!entries.has(locale)) entries.set(locale, { errors: [], warnings: [] });
+    const entry = entries.get(locale);
+    return {
+      error: message => entry.errors.push(message),
+      warning: message => entry.warnings.push(message)
+    };
+  };
+  return { entries, forLocale };
+}
+
+function printReport(report, locales, uses) {
+  let errorCount = 0;
+  let warningCount = 0;
+
+  console.log(`${LANG_PATH}: ${locales.length} idioma(s) · ${uses.size} claves usadas en el sitio\n`);
+
+  const ids = [...new Set([...locales, ...report.entries.keys()])];
+  ids.forEach(locale => {
+    const { errors = [], warnings = [] } = report.entries.get(locale) || {};
+    errorCount += errors.length;
+    warningCount += warnings.length;
+
+    const mark = errors.length ? "✗" : warnings.length ? "!" : "✓";
+    console.log(`${mark} ${locale ? `${locale}.json` : "(manifiesto)"}`);
+    errors.forEach(message => console.log(`    error  ${message}`));
+    warnings.forEach(message => console.log(`    aviso  ${message}`));
+  });
+
+  console.log(`\n${errorCount} error(es) · ${warningCount} aviso(s)`);
+  return { errorCount, warningCount };
+}
+
+/* ===================== EJECUCIÓN ===================== */
+
+async function main() {
+  const report = createReport();
+  const { uses, literals } = await collectUsedKeys();
+  const { locales, problems } = await loadLocales();
+
+  problems.forEach(({ locale, message }) => report.forLocale(locale).error(message));
+
+  const defaults = locales.get(DEFAULT_LANG);
+  if (!defaults) {
+    report.forLocale(DEFAULT_LANG).error(`falta el idioma por defecto (${LANG_PATH}${DEFAULT_LANG}.json)`);
+  }
+
+  for (const [locale, translations] of locales) {
+    const localeReport = report.forLocale(locale);
+    checkKeys(locale, translations, localeReport);
+    checkPlaceholders(locale, translations, locales, localeReport);
+
+    if (locale.includes("-")) {
+      checkRegionalLocale(locale, translations, locales, localeReport);
+    } else {
+      checkBaseLocale(locale, translations, defaults || {}, uses, localeReport);
+    }
+  }
+
+  if (defaults) {
+    checkUnused(defaults, uses, literals, report.forLocale(DEFAULT_LANG));
+  }
+
+  const manifestCodes = await loadManifestCodes();
+  if (!manifestCodes) {
+    report.forLocale("").error(`no se pudo leer ${LANG_MANIFEST_PATH}`);
+  } else {
+    manifestCodes.filter(code => !locales.has(code)).forEach(code => {
+      report.forLocale("").error(`"${code}" aparece en el menú de idioma pero no existe ${LANG_PATH}${code}.json`);
+    });
+    [...locales.keys()].filter(code => !manifestCodes.includes(code)).forEach(code => {
+      report.forLocale("").warning(`${LANG_PATH}${code}.json no aparece en el menú de idioma`);
+    });
+  }
+
+  const { errorCount, warningCount } = printReport(report, [...locales.keys()].sort(), uses);
+  return errorCount || (options.strict && warningCount) ? 1 : 0;
+}
+
+process.exitCode = await main();
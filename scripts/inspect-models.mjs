@@ -0,0 +1,420 @@
+/**
+ * inspect-models.mjs - Analiza los .glb y los compara con el presupuesto de cada nivel
+ * Proyecto: Super X Immersive Cards
+ *
+ * Lee el chunk JSON y el binario de cada GLB de assets/models/ e informa de
+ * triángulos, texturas (formato y dimensiones), animaciones y variantes de
+ * material (KHR_materials_variants). Cada modelo se compara con el presupuesto
+ * del nivel de calidad que tiene asignado en cards.json (QUALITY_CONFIG.modelBudgets)
+ * y se comprueba que tenga las variantes de las impresiones (`printings`) de sus cartas.
+ *
+ * Uso:
+ *   node scripts/inspect-models.mjs                      (código de salida 1 si hay excesos)
+ *   node scripts/inspect-models.mjs card0001.glb --json
+ *   node scripts/inspect-models.mjs --budgets budgets.json
+ *   node scripts/inspect-models.mjs --write-sizes        (actualiza size.model en cards.json)
+ */
+
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { CARDS_DATA_PATH, MODEL_PATH, QUALITY_CONFIG } from "../js/config.js";
+import { getQualityVariants } from "../js/utils.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const MODELS_DIR = join(ROOT, MODEL_PATH);
+const CARDS_FILE = join(ROOT, CARDS_DATA_PATH);
+
+const GLB_MAGIC = 0x46546C67; // "glTF"
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+// Extensiones que apuntan a la imagen real de una textura
+const TEXTURE_SOURCE_EXTENSIONS = ["KHR_texture_basisu", "EXT_texture_webp", "EXT_texture_avif"];
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    budgets: { type: "string" },
+    json: { type: "boolean", default: false },
+    "write-sizes": { type: "boolean", default: false }
+  }
+});
+
+/* ===================== LECTURA DEL GLB ===================== */
+
+/**
+ * Separa el GLB en su JSON y su buffer binario
+ * @returns {{gltf: Object, bin: Buffer|null}}
+ */
+function parseGlb(buffer) {
+  if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    throw new Error("no es un archivo GLB");
+  }
+  const version = buffer.readUInt32LE(4);
+  if (version !== 2) {
+    throw new Error(`GLB versión ${version} no soportada`);
+  }
+
+  let gltf = null;
+  let bin = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32LE(offset);
+    const type = buffer.readUInt32LE(offset + 4);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === CHUNK_JSON) gltf = JSON.parse(data.toString("utf8"));
+    else if (type === CHUNK_BIN && !bin) bin = data;
+
+    offset += 8 + length;
+  }
+
+  if (!gltf) throw new Error("falta el chunk JSON");
+  return { gltf, bin };
+}
+
+/**
+ * Bytes de una imagen: bufferView del binario, data URI o archivo externo
+ */
+async function readImageBytes(image, gltf, bin) {
+  if (image.bufferView !== undefined) {
+    const view = gltf.bufferViews[image.bufferView];
+    return bin?.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength) || null;
+  }
+  if (image.uri?.startsWith("data:")) {
+    return Buffer.from(image.uri.split(",")[1], "base64");
+  }
+  if (image.uri) {
+    try {
+      return await readFile(join(MODELS_DIR, decodeURIComponent(image.uri)));
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Formato y dimensiones de una imagen a partir de su cabecera
+ * @returns {{format: string, width: number|null, height: number|null}}
+ */
+function readImageInfo(bytes) {
+  const unknown = { format: "desconocido", width: null, height: null };
+  if (!bytes || bytes.length < 32) return unknown;
+
+  const ascii = (start, end) => bytes.toString("latin1", start, end);
+
+  if (bytes.readUInt32BE(0) === 0x89504E47) {
+    return { format: "png", width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+  }
+
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    // Recorre los segmentos hasta el SOFn, que contiene las dimensiones
+    for (let offset = 2; offset + 9 < bytes.length;) {
+      if (bytes[offset] !== 0xFF) break;
+      const marker = bytes[offset + 1];
+      const length = bytes.readUInt16BE(offset + 2);
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { format: "jpeg", width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+    return { ...unknown, format: "jpeg" };
+  }
+
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    const chunk = ascii(12, 16);
+    if (chunk === "VP8 ") {
+      return { format: "webp", width: bytes.readUInt16LE(26) & 0x3FFF, height: bytes.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === "VP8L") {
+      const bits = bytes.readUInt32LE(21);
+      return { format: "webp", width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === "VP8X") {
+      return { format: "webp", width: bytes.readUIntLE(24, 3) + 1, height: bytes.readUIntLE(27, 3) + 1 };
+    }
+    return { ...unknown, format: "webp" };
+  }
+
+  if (ascii(1, 7) === "KTX 20") {
+    return { format: "ktx2", width: bytes.readUInt32LE(20), height: bytes.readUInt32LE(24) };
+  }
+
+  return unknown;
+}
+
+/* ===================== ANÁLISIS ===================== */
+
+function countPrimitiveTriangles(gltf, primitive) {
+  const mode = primitive.mode ?? 4;
+  const accessorIndex = primitive.indices ?? primitive.attributes?.POSITION;
+  const count = gltf.accessors?.[accessorIndex]?.count || 0;
+
+  if (mode === 4) return Math.floor(count / 3); // TRIANGLES
+  if (mode === 5 || mode === 6) return Math.max(count - 2, 0); // STRIP / FAN
+  return 0; // Puntos y líneas
+}
+
+/**
+ * Triángulos dibujados por la escena (una malla instanciada en varios nodos cuenta varias veces)
+ */
+function countTriangles(gltf) {
+  const perMesh = (gltf.meshes || []).map(mesh =>
+    mesh.primitives.reduce((sum, primitive) => sum + countPrimitiveTriangles(gltf, primitive), 0));
+
+  const scene = gltf.scenes?.[gltf.scene ?? 0];
+  if (!scene) return perMesh.reduce((sum, triangles) => sum + triangles, 0);
+
+  let total = 0;
+  const visit = (nodeIndex) => {
+    const node = gltf.nodes[nodeIndex];
+    if (node.mesh !== undefined) total += perMesh[node.mesh];
+    (node.children || []).forEach(visit);
+  };
+  (scene.nodes || []).forEach(visit);
+  return total;
+}
+
+async function listTextureImages(gltf, bin) {
+  const sources = new Set();
+  (gltf.textures || []).forEach(texture => {
+    const extensionSource = TEXTURE_SOURCE_EXTENSIONS
+      .map(name => texture.extensions?.[name]?.source)
+      .find(source => source !== undefined);
+    const source = extensionSource ?? texture.source;
+    if (source !== undefined) sources.add(source);
+  });
+
+  const images = [];
+  for (const index of sources) {
+    const image = gltf.images[index];
+    const bytes = await readImageBytes(image, gltf, bin);
+    const info = readImageInfo(bytes);
+    images.push({
+      index,
+      name: image.name || image.uri || `#${index}`,
+      mimeType: image.mimeType || null,
+      bytes: bytes?.length || 0,
+      ...info
+    });
+  }
+  return images;
+}
+
+function listAnimations(gltf) {
+  return (gltf.animations || []).map((animation, index) => {
+    const duration = Math.max(0, ...animation.samplers.map(sampler => gltf.accessors[sampler.input]?.max?.[0] || 0));
+    return { name: animation.name || `#${index}`, channels: animation.channels.length, duration };
+  });
+}
+
+async function inspectModel(file) {
+  const buffer = await readFile(join(MODELS_DIR, file));
+  const { gltf, bin } = parseGlb(buffer);
+  const textures = await listTextureImages(gltf, bin);
+
+  return {
+    file,
+    bytes: buffer.length,
+    triangles: countTriangles(gltf),
+    meshes: (gltf.meshes || []).length,
+    materials: (gltf.materials || []).length,
+    textures,
+    maxTextureSize: Math.max(0, ...textures.map(texture => Math.max(texture.width || 0, texture.height || 0))),
+    animations: listAnimations(gltf),
+    variants: (gltf.extensions?.KHR_materials_variants?.variants || []).map(variant => variant.name),
+    extensions: gltf.extensionsUsed || []
+  };
+}
+
+/* ===================== PRESUPUESTOS ===================== */
+
+/**
+ * Relaciona cada archivo con las cartas y niveles que lo usan.
+ * Un modelo sin mapa por nivel se sirve a todos los dispositivos.
+ */
+function getModelAssignments(cards) {
+  const assignments = new Map();
+  Object.entries(cards).forEach(([cardId, card]) => {
+    const variants = getQualityVariants(card.model, QUALITY_CONFIG.defaultTier, QUALITY_CONFIG.tiers);
+    variants.forEach(({ tier, value }) => {
+      if (typeof value !== "string") return;
+      const tiers = tier ? [tier] : QUALITY_CONFIG.tiers;
+      if (!assignments.has(value)) assignments.set(value, []);
+      tiers.forEach(assignedTier => assignments.get(value).push({ cardId, tier: assignedTier, shared: !tier }));
+    });
+  });
+  return assignments;
+}
+
+function checkBudget(model, budget) {
+  const problems = [];
+  const exceed = (label, value, max) => {
+    if (max !== undefined && value > max) problems.push(`${label} ${formatNumber(value)} > ${formatNumber(max)}`);
+  };
+
+  exceed("tamaño", model.bytes, budget.maxBytes);
+  exceed("triángulos", model.triangles, budget.maxTriangles);
+  exceed("texturas", model.textures.length, budget.maxTextures);
+  exceed("lado de textura", model.maxTextureSize, budget.maxTextureSize);
+  return problems;
+}
+
+/**
+ * Evalúa el modelo contra cada nivel: los niveles asignados producen errores;
+ * un modelo compartido que no cabe en un nivel inferior solo genera aviso.
+ * Una impresión cuya variante falta en el modelo también es un error.
+ */
+function evaluate(model, assignments, budgets, cards) {
+  const uses = assignments.get(model.file) || [];
+  const fits = QUALITY_CONFIG.tiers.filter(tier => budgets[tier] && !checkBudget(model, budgets[tier]).length);
+  const errors = [];
+  const warnings = [];
+
+  if (!uses.length) warnings.push("no lo usa ninguna carta de cards.json");
+
+  new Set(uses.map(use => use.tier)).forEach(tier => {
+    if (!budgets[tier]) return;
+    const problems = checkBudget(model, budgets[tier]);
+    if (!problems.length) return;
+
+    const shared = uses.filter(use => use.tier === tier).every(use => use.shared);
+    const message = `excede el presupuesto "${tier}": ${problems.join(", ")}`;
+    if (shared && tier !== QUALITY_CONFIG.defaultTier) {
+      warnings.push(`${message} (sin variante "${tier}" en cards.json, esos dispositivos descargan este modelo)`);
+    } else {
+      errors.push(message);
+    }
+  });
+
+  new Set(uses.map(use => use.cardId)).forEach(cardId => {
+    Object.entries(cards[cardId]?.printings || {}).forEach(([printingId, printing]) => {
+      if (!model.variants.includes(printing?.variant)) {
+        errors.push(`${cardId}: falta la variante "${printing?.variant}" de la impresión "${printingId}"`);
+      }
+    });
+  });
+
+  return { uses, fits, errors, warnings };
+}
+
+/* ===================== INFORME ===================== */
+
+function formatNumber(value) {
+  return value.toLocaleString("es-ES");
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1e6 ? `${(bytes / 1e6).toFixed(2)} MB` : `${(bytes / 1e3).toFixed(1)} KB`;
+}
+
+function printModel(model, result) {
+  const mark = result.errors.length ? "✗" : result.warnings.length ? "!" : "✓";
+  const cards = [...new Set(result.uses.map(use => use.cardId))].join(", ") || "-";
+
+  console.log(`${mark} ${model.file}  (${cards})`);
+  console.log(`    ${formatBytes(model.bytes)} · ${formatNumber(model.triangles)} triángulos · ` +
+    `${model.meshes} mallas · ${model.materials} materiales`);
+
+  model.textures.forEach(texture => {
+    const size = texture.width ? `${texture.width}×${texture.height}` : "¿?";
+    console.log(`    textura ${texture.name}: ${texture.format} ${size}, ${formatBytes(texture.bytes)}`);
+  });
+  if (!model.textures.length) console.log("    sin texturas");
+
+  if (model.animations.length) {
+    console.log(`    animaciones: ${model.animations.map(animation =>
+      `${animation.name} (${animation.duration.toFixed(2)} s, ${animation.channels} canales)`).join(", ")}`);
+  }
+  if (model.variants.length) console.log(`    variantes: ${model.variants.join(", ")}`);
+  if (model.extensions.length) console.log(`    extensiones: ${model.extensions.join(", ")}`);
+
+  console.log(`    cabe en: ${result.fits.join(", ") || "ningún nivel"}`);
+  result.errors.forEach(message => console.log(`    error  ${message}`));
+  result.warnings.forEach(message => console.log(`    aviso  ${message}`));
+}
+
+/* ===================== size.model EN CARDS.JSON ===================== */
+
+/**
+ * Guarda el tamaño real de cada modelo en size.model (ponderación de la barra de carga),
+ * respetando si la carta usa un valor único o un mapa por nivel
+ */
+async function writeSizes(cards, rawText, models) {
+  const bytesByFile = new Map(models.map(model => [model.file, model.bytes]));
+  let changed = 0;
+
+  Object.values(cards).forEach(card => {
+    const variants = getQualityVariants(card.model, QUALITY_CONFIG.defaultTier, QUALITY_CONFIG.tiers);
+    const isTierMap = variants.some(variant => variant.tier);
+    const next = isTierMap
+      ? Object.fromEntries(variants
+        .filter(({ value }) => bytesByFile.has(value))
+        .map(({ tier, value }) => [tier, bytesByFile.get(value)]))
+      : bytesByFile.get(card.model);
+    if (next === undefined || JSON.stringify(card.size?.model) === JSON.stringify(next)) return;
+
+    card.size = { ...card.size, model: next };
+    changed++;
+  });
+
+  if (!changed) return 0;
+
+  const eol = rawText.includes("\r\n") ? "\r\n" : "\n";
+  await writeFile(CARDS_FILE, JSON.stringify(cards, null, 2).replace(/\n/g, eol));
+  return changed;
+}
+
+/* ===================== EJECUCIÓN ===================== */
+
+async function main() {
+  const budgets = options.budgets
+    ? JSON.parse(await readFile(options.budgets, "utf8"))
+    : QUALITY_CONFIG.modelBudgets;
+
+  const rawCards = await readFile(CARDS_FILE, "utf8");
+  const cards = JSON.parse(rawCards);
+  const assignments = getModelAssignments(cards);
+
+  const files = positionals.length
+    ? positionals.map(file => basename(file))
+    : (await readdir(MODELS_DIR)).filter(file => file.toLowerCase().endsWith(".glb")).sort();
+
+  const report = [];
+  let failed = 0;
+
+  for (const file of files) {
+    let model;
+    try {
+      model = await inspectModel(file);
+    } catch (error) {
+      failed++;
+      report.push({ file, error: error.message });
+      if (!options.json) console.log(`✗ ${file}\n    error  ${error.message}`);
+      continue;
+    }
+
+    const result = evaluate(model, assignments, budgets, cards);
+    if (result.errors.length) failed++;
+    report.push({ ...model, ...result });
+    if (!options.json) printModel(model, result);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`\n${files.length} modelo(s) · ${failed} fuera de presupuesto o ilegibles`);
+  }
+
+  if (options["write-sizes"]) {
+    const changed = await writeSizes(cards, rawCards, report.filter(model => !model.error));
+    console.error(`size.model actualizado en ${changed} carta(s)`);
+  }
+
+  return failed ? 1 : 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,95 @@
+/**
+ * sign-card-urls.mjs - Genera las URLs firmadas de cada copia física
+ * Proyecto: Super X Immersive Cards
+ *
+ * Una fila CSV por copia (card,printing,serial,url) para la imprenta. La firma es
+ * la misma que verifica card.js (js/authenticity.js) y la tirada sale de
+ * `edition.size` en data/cards.json (o de `printings.<id>.editionSize`).
+ *
+ * Uso:
+ *   node scripts/sign-card-urls.mjs                         (todas las cartas)
+ *   node scripts/sign-card-urls.mjs --card e3y7pz --from 1 --to 50
+ *   node scripts/sign-card-urls.mjs --card e3y7pz --printing foil   (impresión especial)
+ *   node scripts/sign-card-urls.mjs --base https://localhost:8080/card.html --out urls.csv
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { CARDS_DATA_PATH } from "../js/config.js";
+import { createSignedCardUrl, getEditionSize } from "../js/authenticity.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+/* ===================== ARGUMENTOS ===================== */
+
+const { values: options } = parseArgs({
+  options: {
+    card: { type: "string", multiple: true },
+    from: { type: "string", default: "1" },
+    to: { type: "string" },
+    printing: { type: "string" },
+    base: { type: "string" },
+    out: { type: "string" }
+  }
+});
+
+/**
+ * URL de card.html a partir del dominio del CNAME (GitHub Pages)
+ */
+async function getDefaultBaseUrl() {
+  const domain = (await readFile(join(ROOT, "CNAME"), "utf8")).trim();
+  return `https://${domain}/card.html`;
+}
+
+function toInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} debe ser un entero positivo (recibido: ${value})`);
+  }
+  return number;
+}
+
+/* ===================== GENERACIÓN ===================== */
+
+async function buildRows() {
+  const cards = JSON.parse(await readFile(join(ROOT, CARDS_DATA_PATH), "utf8"));
+  const baseUrl = options.base || await getDefaultBaseUrl();
+  const cardIds = options.card || Object.keys(cards);
+  const from = toInteger(options.from, "from");
+
+  const printing = options.printing || null;
+  const rows = [["card", "printing", "serial", "url"]];
+
+  for (const cardId of cardIds) {
+    if (printing && !cards[cardId]?.printings?.[printing]) {
+      console.warn(`⚠ ${cardId}: no tiene la impresión "${printing}", se omite`);
+      continue;
+    }
+
+    const editionSize = getEditionSize(cards[cardId], printing);
+    if (!editionSize) {
+      console.warn(`⚠ ${cardId}: no existe o no tiene edition.size, se omite`);
+      continue;
+    }
+
+    const to = Math.min(options.to ? toInteger(options.to, "to") : editionSize, editionSize);
+    for (let serial = from; serial <= to; serial++) {
+      rows.push([cardId, printing || "", serial, await createSignedCardUrl(baseUrl, cardId, serial, editionSize, printing)]);
+    }
+  }
+
+  return rows;
+}
+
+const rows = await buildRows();
+const csv = rows.map(row => row.join(",")).join("\n") + "\n";
+
+if (options.out) {
+  await writeFile(options.out, csv);
+  console.log(`${rows.length - 1} URLs firmadas escritas en ${options.out}`);
+} else {
+  process.stdout.write(csv);
+}
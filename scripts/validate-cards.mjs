@@ -0,0 +1,521 @@
+/**
+ * validate-cards.mjs - Valida data/cards.json y los assets que referencia
+ * Proyecto: Super X Immersive Cards
+ *
+ * - Esquema formal (scripts/cards.schema.json): campos obligatorios, tipos y formato de IDs
+ * - IDs duplicados (JSON.parse se queda en silencio con la última aparición)
+ * - Un título por cada idioma de lang/ (las variantes regionales como es-AR
+ *   pueden usar el título de su idioma base); en serie, personaje, descripción,
+ *   nombre de edición, textos de los hotspots y nombres de impresión la falta de
+ *   un idioma es solo un aviso
+ * - IDs de hotspot repetidos y normales de longitud cero
+ * - Que los archivos existan y su contenido sea del formato esperado
+ *   (cabecera GLB, EBML/WebM, RIFF/WebP, MP4, ZIP/USDZ, Radiance HDR)
+ *
+ * Uso:
+ *   node scripts/validate-cards.mjs              (código de salida 1 si hay errores)
+ *   node scripts/validate-cards.mjs --strict     (los avisos también fallan)
+ *   node scripts/validate-cards.mjs --data otra/ruta/cards.json
+ */
+
+import { open, readdir, readFile, stat } from "node:fs/promises";
+import { join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import {
+  CARDS_DATA_PATH,
+  DEFAULT_LANG,
+  LANG_PATH,
+  MODEL_PATH,
+  VIDEO_PATH,
+  IMAGE_PATH,
+  VIDEO_CONFIG,
+  QUALITY_CONFIG
+} from "../js/config.js";
+import { getQualityVariants, getQualityValue, normalizeVideoSources } from "../js/utils.js";
+import { getLanguageFallbackChain } from "../js/lang.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const SCHEMA_PATH = join(ROOT, "scripts", "cards.schema.json");
+const LOCALE_FILE = /^([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)\.json$/;
+
+// Valores de viewer.environmentImage que no son archivos (los resuelve model-viewer)
+const BUILTIN_ENVIRONMENTS = ["neutral", "legacy"];
+
+// Diferencia tolerada entre `size` y el tamaño real antes de avisar
+const SIZE_TOLERANCE = 0.1;
+
+// Formato esperado según la extensión del archivo
+const EXPECTED_FORMATS = {
+  glb: "glb",
+  usdz: "zip",
+  webm: "webm",
+  mp4: "mp4",
+  m4v: "mp4",
+  mov: "mp4",
+  webp: "webp",
+  png: "png",
+  jpg: "jpeg",
+  jpeg: "jpeg",
+  hdr: "hdr"
+};
+
+const { values: options } = parseArgs({
+  options: {
+    strict: { type: "boolean", default: false },
+    data: { type: "string", default: join(ROOT, CARDS_DATA_PATH) }
+  }
+});
+
+/* ===================== IDS DUPLICADOS ===================== */
+
+/**
+ * Recorre el texto JSON y devuelve las claves repetidas dentro de un mismo objeto
+ * @returns {string[]} Rutas de las claves duplicadas
+ */
+function findDuplicateKeys(text) {
+  const duplicates = [];
+  const stack = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const top = stack[stack.length - 1];
+
+    if (char === '"') {
+      let end = i + 1;
+      while (text[end] !== '"') {
+        end += text[end] === "\\" ? 2 : 1;
+      }
+      const value = JSON.parse(text.slice(i, end + 1));
+      i = end;
+
+      let next = end + 1;
+      while (/\s/.test(text[next])) next++;
+
+      if (top?.isObject && text[next] === ":") {
+        if (top.keys.has(value)) duplicates.push(joinPath(top.path, value));
+        top.keys.add(value);
+        top.lastKey = value;
+      }
+    } else if (char === "{" || char === "[") {
+      const segment = !top ? "" : top.isObject ? top.lastKey : top.index;
+      stack.push({
+        isObject: char === "{",
+        keys: new Set(),
+        lastKey: null,
+        index: 0,
+        path: top ? joinPath(top.path, segment) : ""
+      });
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+    } else if (char === "," && top && !top.isObject) {
+      top.index++;
+    }
+  }
+
+  return duplicates;
+}
+
+function joinPath(path, segment) {
+  if (typeof segment === "number") return `${path}[${segment}]`;
+  return path ? `${path}.${segment}` : segment;
+}
+
+/* ===================== ESQUEMA ===================== */
+
+/**
+ * Validador para el subconjunto de JSON Schema que usa cards.schema.json
+ * ($ref local, anyOf, enum, type, required, properties, additionalProperties,
+ * propertyNames, pattern, minLength, minimum, minItems, minProperties, items)
+ */
+function validateSchema(value, schema, rootSchema, path = "") {
+  const errors = [];
+  const fail = (message, kind = "value") => errors.push({ path, message, kind });
+
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node[key], rootSchema);
+    return validateSchema(value, target, rootSchema, path);
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => validateSchema(value, option, rootSchema, path));
+    if (attempts.some(attempt => !attempt.length)) return errors;
+
+    // Se informa de la alternativa cuyo tipo sí encaja (la más cercana a lo que se quiso escribir)
+    const sameType = attempts.filter(attempt => !attempt.some(error => error.path === path && error.kind === "type"));
+    if (!sameType.length) {
+      fail(`tipo no válido (${describeType(value)})`, "type");
+      return errors;
+    }
+    return sameType.reduce((best, attempt) => (attempt.length < best.length ? attempt : best));
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`debe ser uno de: ${schema.enum.join(", ")} (recibido: ${JSON.stringify(value)})`);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`debe ser ${schema.type} (recibido: ${describeType(value)})`, "type");
+    return errors;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) fail("no puede estar vacío");
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`formato no válido: ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`debe ser mayor o igual a ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) fail(`necesita al menos ${schema.minItems} elemento(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`admite como máximo ${schema.maxItems} elemento(s)`);
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, rootSchema, joinPath(path, index)));
+      });
+    }
+  } else if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+
+    (schema.required || []).filter(key => !(key in value)).forEach(key => {
+      errors.push({ path: joinPath(path, key), message: "campo obligatorio ausente", kind: "required" });
+    });
+
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      fail(`necesita al menos ${schema.minProperties} propiedad(es)`);
+    }
+
+    keys.forEach(key => {
+      const keyPath = joinPath(path, key);
+
+      if (schema.propertyNames && validateSchema(key, schema.propertyNames, rootSchema, keyPath).length) {
+        errors.push({ path: keyPath, message: `clave no válida: ${JSON.stringify(key)}`, kind: "key" });
+        return;
+      }
+
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(value[key], schema.properties[key], rootSchema, keyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: keyPath, message: "propiedad desconocida", kind: "key" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, rootSchema, keyPath));
+      }
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array": return Array.isArray(value);
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number";
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+/* ===================== FORMATO DE ARCHIVOS ===================== */
+
+/**
+ * Identifica el formato real de un archivo por sus primeros bytes
+ */
+function detectFormat(header) {
+  const ascii = (start, end) => header.toString("latin1", start, end);
+
+  if (ascii(0, 4) === "glTF") return "glb";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+  if (header.readUInt32BE(0) === 0x1A45DFA3) {
+    return header.includes("webm", 0, "latin1") ? "webm" : "matroska";
+  }
+  if (ascii(4, 8) === "ftyp") return "mp4";
+  if (header.readUInt32BE(0) === 0x89504E47) return "png";
+  if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) return "jpeg";
+  if (header.readUInt32BE(0) === 0x504B0304) return "zip";
+  if (ascii(0, 2) === "#?") return "hdr"; // Radiance: "#?RADIANCE" o "#?RGBE"
+  return "desconocido";
+}
+
+/**
+ * Comprueba que el archivo exista y tenga el formato de su extensión
+ * @returns {Promise<{exists: boolean, bytes?: number, problems: string[]}>}
+ */
+async function inspectFile(path) {
+  let info;
+  try {
+    info = await stat(path);
+  } catch (error) {
+    return { exists: false, problems: [] };
+  }
+
+  const header = Buffer.alloc(64);
+  const handle = await open(path, "r");
+  try {
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  const problems = [];
+  const extension = path.split(".").pop().toLowerCase();
+  const expected = EXPECTED_FORMATS[extension];
+  const actual = detectFormat(header);
+
+  if (!expected) {
+    problems.push(`extensión .${extension} no reconocida`);
+  } else if (actual !== expected) {
+    problems.push(`se esperaba ${expected} y el contenido es ${actual}`);
+  }
+
+  if (actual === "glb") {
+    const version = header.readUInt32LE(4);
+    const declaredLength = header.readUInt32LE(8);
+    if (version !== 2) problems.push(`GLB versión ${version} (se requiere 2)`);
+    if (declaredLength !== info.size) {
+      problems.push(`GLB truncado o dañado: declara ${declaredLength} bytes y tiene ${info.size}`);
+    }
+  }
+
+  return { exists: true, bytes: info.size, format: actual, problems };
+}
+
+/* ===================== COMPROBACIONES POR CARTA ===================== */
+
+async function listLocales() {
+  const files = await readdir(join(ROOT, LANG_PATH));
+  return files.map(file => LOCALE_FILE.exec(file)?.[1]).filter(Boolean).sort();
+}
+
+/**
+ * Lista los archivos de un recurso agrupados por nivel de calidad
+ */
+function getModelFiles(card) {
+  return getQualityVariants(card.model, QUALITY_CONFIG.defaultTier, QUALITY_CONFIG.tiers)
+    .filter(({ value }) => typeof value === "string")
+    .map(({ tier, value }) => ({ tier, src: value, type: "" }));
+}
+
+function getVideoFiles(card) {
+  return getQualityVariants(card.video, QUALITY_CONFIG.defaultTier, QUALITY_CONFIG.tiers)
+    .flatMap(({ tier, value }) => normalizeVideoSources(value, VIDEO_CONFIG.mimeTypes)
+      .map(source => ({ tier, ...source })));
+}
+
+/**
+ * Comprueba un grupo de archivos alternativos (basta con que exista uno)
+ */
+async function checkAlternatives(report, field, dir, files, sizes) {
+  const missing = [];
+
+  for (const file of files) {
+    const path = join(ROOT, dir, file.src);
+    const label = `${field}${file.tier ? ` (${file.tier})` : ""}: ${file.src}`;
+    const result = await inspectFile(path);
+
+    if (!result.exists) {
+      missing.push(label);
+      continue;
+    }
+
+    result.problems.forEach(problem => report.error(`${label}: ${problem}`));
+
+    if (file.type && result.format !== "desconocido") {
+      const declared = file.type.split(";")[0].split("/")[1];
+      if (EXPECTED_FORMATS[declared] && EXPECTED_FORMATS[declared] !== result.format) {
+        report.error(`${label}: declara type "${file.type}" pero el contenido es ${result.format}`);
+      }
+    }
+
+    const expectedBytes = getQualityValue(sizes, file.tier, QUALITY_CONFIG.tiers);
+    if (typeof expectedBytes === "number" && Math.abs(expectedBytes - result.bytes) / result.bytes > SIZE_TOLERANCE) {
+      report.warning(`size.${field}: ${expectedBytes} bytes no coincide con el archivo real (${result.bytes})`);
+    }
+  }
+
+  if (missing.length && missing.length === files.length) {
+    report.error(`${field}: no existe ninguno de los archivos en ${dir} (${files.map(file => file.src).join(", ")})`);
+  } else {
+    // Con al menos una alternativa disponible la carta funciona, pero pierde el respaldo
+    missing.forEach(label => report.warning(`${label} no existe en ${dir}`));
+  }
+}
+
+async function checkSingleFile(report, field, dir, file) {
+  const result = await inspectFile(join(ROOT, dir, file));
+  if (!result.exists) {
+    report.error(`${field}: ${file} no existe en ${dir}`);
+    return;
+  }
+  result.problems.forEach(problem => report.error(`${field}: ${file}: ${problem}`));
+}
+
+/**
+ * Busca el texto en la cadena de respaldo del idioma sin llegar al idioma por
+ * defecto, que enmascararía la falta de traducción (en → es no cuenta)
+ */
+function hasOwnText(titles, locale) {
+  const language = locale.split("-")[0];
+  return getLanguageFallbackChain(locale)
+    .filter(tag => tag.split("-")[0] === language)
+    .some(tag => titles[tag]);
+}
+
+async function checkCard(cardId, card, locales, report) {
+  const titles = card.title && typeof card.title === "object" ? card.title : {};
+  locales.filter(locale => !hasOwnText(titles, locale)).forEach(locale => {
+    report.error(`title.${locale}: falta el título (lang/${locale}.json existe)`);
+  });
+  Object.keys(titles).filter(locale => !locales.includes(locale)).forEach(locale => {
+    report.warning(`title.${locale}: no hay lang/${locale}.json para ese idioma`);
+  });
+
+  // Campos de la ficha (opcionales): si están, conviene que cubran los mismos idiomas
+  const localizedFields = {
+    series: card.series,
+    character: card.character,
+    description: card.description,
+    "edition.name": card.edition?.name
+  };
+  (Array.isArray(card.hotspots) ? card.hotspots : []).forEach((hotspot, index) => {
+    localizedFields[`hotspots[${index}].label`] = hotspot?.label;
+    localizedFields[`hotspots[${index}].body`] = hotspot?.body;
+  });
+  Object.entries(card.printings && typeof card.printings === "object" ? card.printings : {}).forEach(([id, printing]) => {
+    localizedFields[`printings.${id}.label`] = printing?.label;
+  });
+  Object.entries(localizedFields).forEach(([field, values]) => {
+    if (!values || typeof values !== "object") return;
+    locales.filter(locale => !hasOwnText(values, locale)).forEach(locale => {
+      report.warning(`${field}.${locale}: sin traducción, se mostrará en ${DEFAULT_LANG}`);
+    });
+  });
+
+  checkHotspots(card.hotspots, report);
+
+  if (card.model) await checkAlternatives(report, "model", MODEL_PATH, getModelFiles(card), card.size?.model);
+  if (card.video) await checkAlternatives(report, "video", VIDEO_PATH, getVideoFiles(card), card.size?.video);
+  if (typeof card.share === "string") await checkSingleFile(report, "share", IMAGE_PATH, card.share);
+  if (typeof card.usdz === "string") await checkSingleFile(report, "usdz", MODEL_PATH, card.usdz);
+  if (typeof card.viewer?.environmentImage === "string" && !BUILTIN_ENVIRONMENTS.includes(card.viewer.environmentImage)) {
+    await checkSingleFile(report, "viewer.environmentImage", MODEL_PATH, card.viewer.environmentImage);
+  }
+}
+
+/**
+ * Lo que el esquema no puede expresar: IDs únicos (dan nombre al slot de
+ * model-viewer) y normales que apunten a algún lado
+ */
+function checkHotspots(hotspots, report) {
+  if (!Array.isArray(hotspots)) return;
+
+  const seen = new Set();
+  hotspots.forEach((hotspot, index) => {
+    if (typeof hotspot?.id === "string") {
+      if (seen.has(hotspot.id)) report.error(`hotspots[${index}].id: "${hotspot.id}" repetido`);
+      seen.add(hotspot.id);
+    }
+    if (Array.isArray(hotspot?.normal) && hotspot.normal.every(value => value === 0)) {
+      report.error(`hotspots[${index}].normal: no puede ser [0, 0, 0]`);
+    }
+  });
+}
+
+/* ===================== INFORME ===================== */
+
+function createReport() {
+  const entries = new Map();
+  const forCard = (cardId) => {
+    if (!entries.has(cardId)) entries.set(cardId, { errors: [], warnings: [] });
+    const entry = entries.get(cardId);
+    return {
+      error: message => entry.errors.push(message),
+      warning: message => entry.warnings.push(message)
+    };
+  };
+  return { entries, forCard };
+}
+
+function printReport(report, cardIds, dataPath) {
+  let errorCount = 0;
+  let warningCount = 0;
+  let failedCards = 0;
+
+  console.log(`${relative(process.cwd(), dataPath) || dataPath}: ${cardIds.length} cartas\n`);
+
+  const ids = [...new Set([...report.entries.keys(), ...cardIds])];
+  ids.forEach(cardId => {
+    const { errors = [], warnings = [] } = report.entries.get(cardId) || {};
+    errorCount += errors.length;
+    warningCount += warnings.length;
+    if (errors.length) failedCards++;
+
+    const mark = errors.length ? "✗" : warnings.length ? "!" : "✓";
+    console.log(`${mark} ${cardId || "(catálogo)"}`);
+    errors.forEach(message => console.log(`    error  ${message}`));
+    warnings.forEach(message => console.log(`    aviso  ${message}`));
+  });
+
+  console.log(`\n${failedCards} carta(s) con errores · ${errorCount} error(es) · ${warningCount} aviso(s)`);
+  return { errorCount, warningCount };
+}
+
+/* ===================== EJECUCIÓN ===================== */
+
+async function main() {
+  const report = createReport();
+  const text = await readFile(options.data, "utf8");
+
+  let cards;
+  try {
+    cards = JSON.parse(text);
+  } catch (error) {
+    console.error(`✗ ${options.data} no es JSON válido: ${error.message}`);
+    return 1;
+  }
+
+  findDuplicateKeys(text).forEach(path => {
+    const [cardId] = path.split(/[.[]/);
+    report.forCard(cardId).error(path === cardId
+      ? "ID duplicado en el catálogo (solo se usa la última aparición)"
+      : `clave duplicada: ${path.slice(cardId.length + 1)}`);
+  });
+
+  const schema = JSON.parse(await readFile(SCHEMA_PATH, "utf8"));
+  validateSchema(cards, schema, schema).forEach(({ path, message, kind }) => {
+    const [cardId, ...rest] = path.split(".");
+    const isCardField = cards && typeof cards === "object" && !Array.isArray(cards) && cardId in cards;
+
+    if (!isCardField) {
+      report.forCard("").error(`${path || "(raíz)"}: ${message}`);
+    } else if (!rest.length && kind === "key") {
+      report.forCard(cardId).error("ID con formato no válido (se esperan 6 caracteres a-z o 0-9)");
+    } else {
+      report.forCard(cardId).error(`${rest.join(".")}: ${message}`);
+    }
+  });
+
+  const cardIds = cards && typeof cards === "object" && !Array.isArray(cards) ? Object.keys(cards) : [];
+  const locales = await listLocales();
+
+  for (const cardId of cardIds) {
+    if (cards[cardId] && typeof cards[cardId] === "object") {
+      await checkCard(cardId, cards[cardId], locales, report.forCard(cardId));
+    }
+  }
+
+  const { errorCount, warningCount } = printReport(report, cardIds, options.data);
+  return errorCount || (options.strict && warningCount) ? 1 : 0;
+}
+
+process.exitCode = await main();
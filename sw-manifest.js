@@ -0,0 +1,37 @@
+/* Generado por scripts/build-sw-manifest.mjs - no editar a mano */
+self.SW_MANIFEST = {
+  "version": "e2e93e4fe066",
+  "assetsVersion": "2c22eca620b8",
+  "shell": [
+    "404.html",
+    "card.html",
+    "index.html",
+    "css/404.css",
+    "css/base.css",
+    "css/card.css",
+    "css/index.css",
+    "js/404.js",
+    "js/authenticity.js",
+    "js/card-info.js",
+    "js/card.js",
+    "js/collection.js",
+    "js/config.js",
+    "js/index.js",
+    "js/lang.js",
+    "js/language-switcher.js",
+    "js/motion.js",
+    "js/qrcode.js",
+    "js/tilt.js",
+    "js/utils.js",
+    "lang/en.json",
+    "lang/es-AR.json",
+    "lang/es.json",
+    "lang/manifest.json",
+    "data/cards.json",
+    "assets/images/logo.png",
+    "assets/favicon.ico"
+  ],
+  "external": [
+    "https://unpkg.com/@google/model-viewer/dist/model-viewer.min.js"
+  ]
+};
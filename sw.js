@@ -0,0 +1,178 @@
+/**
+ * sw.js - Service worker para uso offline
+ * Proyecto: Super X Immersive Cards
+ *
+ * - Precachea el app shell listado en sw-manifest.js
+ * - Cachea los assets de cada carta cuando card.js lo solicita (primera visita)
+ * - Los nombres de caché dependen de las versiones del manifest: un deploy
+ *   nuevo genera cachés nuevas y las antiguas se eliminan al activarse
+ */
+
+importScripts("sw-manifest.js");
+
+const MANIFEST = self.SW_MANIFEST;
+const CACHE_PREFIX = "superx-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${MANIFEST.version}`;
+const CARDS_CACHE = `${CACHE_PREFIX}cards-${MANIFEST.assetsVersion}`;
+
+// Recursos que deben estar frescos si hay red (datos y traducciones)
+const NETWORK_FIRST = [/\/data\/.+\.json$/, /\/lang\/.+\.json$/];
+const CARD_ASSETS = /\/assets\/(models|videos|images)\//;
+
+/* ===================== CICLO DE VIDA ===================== */
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(MANIFEST.shell);
+
+    // Los recursos externos no deben impedir la instalación
+    await Promise.allSettled(MANIFEST.external.map(url => cache.add(url)));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== CARDS_CACHE)
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+/* ===================== MENSAJES ===================== */
+
+self.addEventListener("message", (event) => {
+  const { type, urls } = event.data || {};
+
+  if (type === "CACHE_CARD" && Array.isArray(urls)) {
+    event.waitUntil(cacheCardAssets(urls));
+  }
+});
+
+/**
+ * Guarda la respuesta completa de cada asset de la carta que aún no esté en caché
+ */
+async function cacheCardAssets(urls) {
+  const cache = await caches.open(CARDS_CACHE);
+
+  await Promise.allSettled(urls.filter(Boolean).map(async (url) => {
+    if (await cache.match(url)) return;
+
+    const response = await fetch(url);
+    if (response.ok && response.status === 200) {
+      await cache.put(url, response);
+    }
+  }));
+}
+
+/* ===================== FETCH ===================== */
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin && CARD_ASSETS.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, { allowRange: true }));
+  } else if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, { cacheKey: getPageCacheKey(url) }));
+  } else if (NETWORK_FIRST.some(pattern => pattern.test(url.pathname))) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin || MANIFEST.external.includes(request.url)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * Sirve desde caché y si no hay copia va a la red.
+ * Con `allowRange` responde peticiones Range (video) a partir de la copia completa.
+ */
+async function cacheFirst(request, { allowRange = false } = {}) {
+  const cached = await caches.match(request.url);
+
+  if (cached) {
+    const range = request.headers.get("range");
+    return allowRange && range ? createRangeResponse(cached, range) : cached;
+  }
+
+  return fetch(request);
+}
+
+/**
+ * Intenta la red y actualiza la caché; sin red recurre a la última copia
+ * @param {Request} request - Petición original
+ * @param {Object} [options]
+ * @param {string} [options.cacheKey] - Clave alternativa (p. ej. página sin query string)
+ */
+async function networkFirst(request, { cacheKey = request.url } = {}) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(cacheKey);
+    if (cached) return cached;
+
+    if (request.mode === "navigate") {
+      const fallback = await caches.match("404.html");
+      if (fallback) return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Clave de caché de una página: sin query string y con index.html explícito
+ * (card.html?id=xxx y card.html comparten la misma copia)
+ */
+function getPageCacheKey(url) {
+  const path = url.pathname.endsWith("/") ? `${url.pathname}index.html` : url.pathname;
+  return new URL(path, url.origin).href;
+}
+
+/**
+ * Construye una respuesta 206 a partir de una respuesta completa en caché
+ */
+async function createRangeResponse(response, rangeHeader) {
+  const body = await response.arrayBuffer();
+  const match = /bytes=(\d*)-(\d*)/.exec(rangeHeader);
+  const size = body.byteLength;
+
+  let start = match?.[1] ? Number(match[1]) : 0;
+  let end = match?.[2] ? Number(match[2]) : size - 1;
+
+  // "bytes=-N" pide los últimos N bytes
+  if (match && !match[1] && match[2]) {
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  }
+
+  if (!match || start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      headers: { "Content-Range": `bytes */${size}` }
+    });
+  }
+
+  end = Math.min(end, size - 1);
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || "application/octet-stream",
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Content-Length": String(end - start + 1),
+      "Accept-Ranges": "bytes"
+    }
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * helpers.test.mjs - Funciones puras de utils, lang, colección y autenticidad
+ * Proyecto: Super X Immersive Cards
+ *
+ * Uso: node --test
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { AUTHENTICITY_CONFIG, COLLECTION_CONFIG } from "../js/config.js";
+import { retryWithBackoff, signMessage } from "../js/utils.js";
+import { formatMessage } from "../js/lang.js";
+import { parseCollectionCode, CollectionCodeError } from "../js/collection.js";
+import { createSignedCardUrl, verifyCardAuthenticity } from "../js/authenticity.js";
+
+describe("retryWithBackoff", () => {
+  const fast = { baseDelay: 1, maxDelay: 4, jitter: 0 };
+
+  it("reintenta hasta que la tarea funciona", async () => {
+    const delays = [];
+    const result = await retryWithBackoff(async (attempt) => {
+      if (attempt < 3) throw new Error(`fallo ${attempt}`);
+      return attempt;
+    }, { ...fast, maxAttempts: 3, onRetry: (error, next, delay) => delays.push([next, delay]) });
+
+    assert.equal(result, 3);
+    assert.deepEqual(delays, [[2, 1], [3, 2]]);
+  });
+
+  it("lanza el último error al agotar los intentos", async () => {
+    let attempts = 0;
+    await assert.rejects(
+      retryWithBackoff(async () => { attempts++; throw new Error("siempre"); }, { ...fast, maxAttempts: 2 }),
+      /siempre/
+    );
+    assert.equal(attempts, 2);
+  });
+
+  it("no reintenta si shouldRetry lo descarta", async () => {
+    let attempts = 0;
+    await assert.rejects(retryWithBackoff(async () => { attempts++; throw new Error("404"); }, {
+      ...fast,
+      shouldRetry: (error) => error.message !== "404"
+    }));
+    assert.equal(attempts, 1);
+  });
+});
+
+describe("formatMessage", () => {
+  it("rellena marcadores y deja los que no tienen valor", () => {
+    assert.equal(formatMessage("{added} añadidas, {skipped} omitidas", { added: 2 }, "es"), "2 añadidas, {skipped} omitidas");
+  });
+
+  it("elige la rama de plural según el idioma", () => {
+    const template = "{n, plural, =0 {Ninguna} one {# copia} other {# copias}}";
+    assert.equal(formatMessage(template, { n: 0 }, "es"), "Ninguna");
+    assert.equal(formatMessage(template, { n: 1 }, "es"), "1 copia");
+    assert.equal(formatMessage(template, { n: 1500 }, "es"), "1500 copias");
+  });
+
+  it("devuelve sin cambios lo que no es una plantilla", () => {
+    assert.equal(formatMessage("Sin marcadores", {}, "es"), "Sin marcadores");
+    assert.equal(formatMessage(undefined, {}, "es"), undefined);
+  });
+});
+
+describe("parseCollectionCode", () => {
+  const { prefix, signingKey, signatureLength, urlParam } = COLLECTION_CONFIG.transfer;
+  const sign = async (payload) => `${payload}.${await signMessage(payload, signingKey, signatureLength)}`;
+
+  it("lee códigos con y sin impresiones, sueltos o en la URL del QR", async () => {
+    const code = await sign(`${prefix}.e3y7pz-s44we8~foil_b2h6df-s44wh0`);
+    const expected = [
+      { cardId: "e3y7pz", firstSeen: 1700000000000, printings: ["foil"] },
+      { cardId: "b2h6df", firstSeen: 1700000100000, printings: [] }
+    ];
+
+    assert.deepEqual(await parseCollectionCode(code), expected);
+    assert.deepEqual(await parseCollectionCode(` https://example.com/?${urlParam}=${code}\n`), expected);
+  });
+
+  it("rechaza códigos mal formados o manipulados", async () => {
+    const code = await sign(`${prefix}.e3y7pz-s44we8`);
+    const rejectsWith = (input, type) => assert.rejects(parseCollectionCode(input), (error) =>
+      error instanceof CollectionCodeError && error.type === type);
+
+    await rejectsWith("", "malformed");
+    await rejectsWith(code.replace(prefix, "XX9"), "malformed");
+    await rejectsWith(code.replace("s44we8", "s44we8!"), "malformed");
+    await rejectsWith(code.replace("s44we8", "s44we9"), "signature");
+    await rejectsWith(code.slice(0, -1), "signature");
+  });
+});
+
+describe("verifyCardAuthenticity", () => {
+  const card = { edition: { size: 500 }, printings: { foil: { variant: "Foil", label: { es: "Foil" }, editionSize: 50 } } };
+  const paramsFor = async (...args) => new URL(await createSignedCardUrl("https://example.com/card.html", "e3y7pz", ...args)).searchParams;
+
+  it("verifica la serie firmada", async () => {
+    const result = await verifyCardAuthenticity("e3y7pz", card, await paramsFor(42, 500));
+    assert.equal(result.status, "verified");
+    assert.equal(result.serial, 42);
+  });
+
+  it("usa la tirada propia de la impresión", async () => {
+    const result = await verifyCardAuthenticity("e3y7pz", card, await paramsFor(7, 50, "foil"));
+    assert.equal(result.status, "verified");
+    assert.equal(result.editionSize, 50);
+  });
+
+  it("distingue URLs sin firma de URLs no verificadas", async () => {
+    const { serialParam, tagParam } = AUTHENTICITY_CONFIG;
+    const check = async (params) => verifyCardAuthenticity("e3y7pz", card, new URLSearchParams(params));
+    const signed = await paramsFor(42, 500);
+
+    assert.equal((await check("")).status, "unsigned");
+    assert.equal((await check({ [serialParam]: "042" })).reason, "incomplete");
+    assert.equal((await check({ [serialParam]: "501", [tagParam]: signed.get(tagParam) })).reason, "serial_out_of_range");
+    assert.equal((await check({ [serialParam]: "043", [tagParam]: signed.get(tagParam) })).reason, "signature");
+    assert.equal((await verifyCardAuthenticity("b2h6df", card, signed)).reason, "signature");
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * tilt.test.mjs - Giro por inclinación con lecturas sintéticas
+ * Proyecto: Super X Immersive Cards
+ *
+ * Uso: node --test
+ */
+
+import assert from "node:assert/strict";
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
+
+import { TILT_CONFIG } from "../js/config.js";
+import { readTilt, mapTiltToOrbit, isBeyondMaxTilt, smoothOrbit, TiltTracker } from "../js/tilt.js";
+
+const ORBIT = { theta: 0, phi: 90, radius: 2 };
+const reading = (beta, gamma) => ({ beta, gamma });
+
+describe("readTilt", () => {
+  it("devuelve null si el evento no trae datos", () => {
+    assert.equal(readTilt(reading(null, null)), null);
+    assert.equal(readTilt(reading(10, undefined)), null);
+    assert.equal(readTilt(null), null);
+  });
+
+  it("gira los ejes con la pantalla", () => {
+    assert.deepEqual(readTilt(reading(60, 15), 0), { x: 15, y: 60 });
+    assert.deepEqual(readTilt(reading(60, 15), 90), { x: 60, y: -15 });
+    assert.deepEqual(readTilt(reading(60, 15), 270), { x: -60, y: 15 });
+  });
+});
+
+describe("mapTiltToOrbit", () => {
+  const calibration = { x: 0, y: 60, ...ORBIT };
+  const settings = { sensitivity: { theta: 1, phi: 1 }, deadZone: 2, maxTilt: 30 };
+
+  it("ignora la zona muerta y gira en sentido contrario a la inclinación", () => {
+    assert.deepEqual(mapTiltToOrbit({ x: 1, y: 61 }, calibration, {}, settings), { theta: 0, phi: 90 });
+    assert.deepEqual(mapTiltToOrbit({ x: 12, y: 60 }, calibration, {}, settings), { theta: -10, phi: 90 });
+  });
+
+  it("recorta a maxTilt y a los límites de la carta", () => {
+    assert.equal(mapTiltToOrbit({ x: 80, y: 60 }, calibration, {}, settings).theta, -28);
+    assert.equal(mapTiltToOrbit({ x: 80, y: 60 }, calibration, { minTheta: -15 }, settings).theta, -15);
+    assert.equal(mapTiltToOrbit({ x: 0, y: 150 }, calibration, {}, settings).phi, 118);
+  });
+
+  it("no da una vuelta entera al cruzar ±180°", () => {
+    const wrapped = { ...calibration, x: 175 };
+    assert.equal(mapTiltToOrbit({ x: -175, y: 60 }, wrapped, {}, settings).theta, -8);
+  });
+});
+
+describe("isBeyondMaxTilt y smoothOrbit", () => {
+  it("detecta posturas fuera de maxTilt", () => {
+    assert.equal(isBeyondMaxTilt({ x: 0, y: 100 }, { x: 0, y: 60 }, 45), false);
+    assert.equal(isBeyondMaxTilt({ x: 0, y: 110 }, { x: 0, y: 60 }, 45), true);
+  });
+
+  it("avanza una fracción hacia el objetivo", () => {
+    assert.deepEqual(smoothOrbit({ theta: 0, phi: 90 }, { theta: 40, phi: 100 }, 0.25), { theta: 10, phi: 92.5 });
+    assert.deepEqual(smoothOrbit(null, { theta: 40, phi: 100 }, 0.25), { theta: 40, phi: 100 });
+  });
+});
+
+describe("TiltTracker", () => {
+  const settings = { ...TILT_CONFIG, sensitivity: { theta: 1, phi: 1 }, deadZone: 0, smoothing: 1 };
+  let clock;
+  let unavailable;
+  let tracker;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout"] });
+    clock = 0;
+    unavailable = 0;
+    tracker = new TiltTracker(settings, { onUnavailable: () => unavailable++, now: () => clock });
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    mock.timers.reset();
+  });
+
+  const update = (event, context = {}) => tracker.update(event, { getOrbit: () => ORBIT, ...context });
+
+  it("calibra con la primera lectura y gira con las siguientes", () => {
+    assert.equal(update(reading(60, 0)), null);
+    assert.deepEqual(update(reading(60, 10)), { theta: -10, phi: 90, radius: 2 });
+    assert.deepEqual(update(reading(70, 10)), { theta: -10, phi: 100, radius: 2 });
+  });
+
+  it("espera a que la cámara esté lista para calibrar", () => {
+    assert.equal(update(reading(60, 0), { getOrbit: () => null }), null);
+    assert.equal(tracker.calibration, null);
+    assert.equal(update(reading(60, 0)), null);
+    assert.ok(tracker.calibration);
+  });
+
+  it("recalibra tras una pausa o un giro de pantalla", () => {
+    update(reading(60, 0));
+    assert.equal(update(reading(60, 10), { active: false }), null);
+    assert.equal(tracker.calibration, null);
+
+    update(reading(60, 10));
+    assert.equal(update(reading(60, 20), { screenAngle: 90 }), null);
+    assert.equal(tracker.calibration.screenAngle, 90);
+  });
+
+  it("toma la postura como neutra si dura fuera de maxTilt", () => {
+    update(reading(60, 0));
+    update(reading(60, 10));
+
+    assert.ok(update(reading(60 + settings.maxTilt + 10, 10)));
+    clock += settings.recalibrateAfter;
+    assert.equal(update(reading(60 + settings.maxTilt + 10, 10)), null);
+    assert.equal(tracker.calibration, null);
+    assert.deepEqual(tracker.base, { theta: -10, phi: 90 + settings.maxTilt, radius: 2 });
+  });
+
+  it("tolera lecturas vacías sueltas", () => {
+    update(reading(null, null));
+    mock.timers.tick(settings.unavailableAfter - 1);
+    update(reading(60, 0));
+    mock.timers.tick(settings.unavailableAfter);
+    update(reading(null, null));
+    update(reading(60, 0));
+    mock.timers.tick(settings.unavailableAfter);
+    assert.equal(unavailable, 0);
+  });
+
+  it("se da por vencido si no llega ninguna lectura válida en unavailableAfter", () => {
+    update(reading(null, null));
+    update(reading(null, null));
+    mock.timers.tick(settings.unavailableAfter - 1);
+    assert.equal(unavailable, 0);
+    mock.timers.tick(1);
+    assert.equal(unavailable, 1);
+  });
+
+  it("stop() cancela la espera", () => {
+    update(reading(null, null));
+    tracker.stop();
+    mock.timers.tick(settings.unavailableAfter);
+    assert.equal(unavailable, 0);
+  });
+});
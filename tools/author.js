@@ -0,0 +1,416 @@
+/**
+ * author.js - Herramienta local de autoría de cartas (tools/author.html)
+ * Proyecto: Super X Immersive Cards
+ *
+ * Carga card.html?id=<id>&author en un iframe, así la vista previa pasa por el
+ * mismo CardViewerApp que el sitio. Los cambios se guardan como JSON Merge Patch
+ * sobre la entrada de data/cards.json:
+ * - hotspots: se colocan tocando el modelo (positionAndNormalFromPoint de model-viewer)
+ * - viewer.cameraOrbit, viewer.minCameraOrbit y viewer.maxCameraOrbit
+ * Hotspots y cámara se actualizan en vivo; cambiar de idioma recarga el iframe.
+ */
+
+import { CARDS_DATA_PATH, LANG_MANIFEST_PATH, DEFAULT_LANG, DRAG_THRESHOLD, AUTHORING_CONFIG } from "../js/config.js";
+import { getLocalizedValue, normalizeLanguageTag } from "../js/lang.js";
+import { isAuthoringHost, writeAuthoringPatch, applyMergePatch } from "../js/authoring.js";
+import { calculateDragDistance, getEventPosition, radToDeg } from "../js/utils.js";
+
+// Las rutas de config.js son relativas a la raíz del sitio
+const ROOT = "../";
+
+// Campo de `viewer` en cards.json → input del panel
+const VIEWER_INPUTS = {
+  cameraOrbit: "author_orbit",
+  minCameraOrbit: "author_min_orbit",
+  maxCameraOrbit: "author_max_orbit"
+};
+
+const HOTSPOT_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const state = {
+  cards: {},
+  locales: [],
+  cardId: null,
+  lang: DEFAULT_LANG,
+  hotspots: [], // En el formato de cards.json
+  placing: false,
+  frameApp: null // CardViewerApp del iframe, cuando avisa de que está listo
+};
+
+const elements = {
+  frame: document.getElementById("author_frame"),
+  status: document.getElementById("author_status"),
+  card: document.getElementById("author_card"),
+  locale: document.getElementById("author_locale"),
+  autoSnap: document.getElementById("author_auto_snap"),
+  captureOrbit: document.getElementById("author_capture_orbit"),
+  place: document.getElementById("author_place"),
+  hotspots: document.getElementById("author_hotspots"),
+  hotspotTemplate: document.getElementById("author_hotspot_template"),
+  patch: document.getElementById("author_patch"),
+  preview: document.getElementById("author_preview"),
+  copy: document.getElementById("author_copy"),
+  download: document.getElementById("author_download")
+};
+
+/* =====================
+   INICIALIZACIÓN
+===================== */
+
+(async function initializeAuthoring() {
+  if (!isAuthoringHost()) {
+    setStatus("Esta herramienta solo funciona en local (localhost).");
+    document.querySelectorAll(".author-panel :is(input, select, textarea, button)").forEach(element => {
+      element.disabled = true;
+    });
+    return;
+  }
+
+  try {
+    const [cards, locales] = await Promise.all([fetchJson(ROOT + CARDS_DATA_PATH), loadLocales()]);
+    state.cards = cards;
+    state.locales = locales;
+  } catch (error) {
+    setStatus(`No se pudo cargar el catálogo: ${error.message}`);
+    return;
+  }
+
+  fillSelect(elements.card, Object.keys(state.cards).map(id => ({
+    value: id,
+    label: `${id} · ${getLocalizedValue(state.cards[id].title, DEFAULT_LANG) || ""}`
+  })));
+  fillSelect(elements.locale, state.locales.map(({ code, name }) => ({ value: code, label: name })));
+
+  const requestedId = new URLSearchParams(window.location.search).get("id");
+  elements.card.value = state.cards[requestedId] ? requestedId : elements.card.options[0]?.value;
+  elements.locale.value = state.lang;
+
+  setupEventListeners();
+  selectCard(elements.card.value);
+})();
+
+function setupEventListeners() {
+  elements.card.addEventListener("change", () => selectCard(elements.card.value));
+  elements.locale.addEventListener("change", () => {
+    state.lang = elements.locale.value;
+    reloadFrame();
+  });
+
+  elements.autoSnap.addEventListener("change", () => {
+    if (state.frameApp) state.frameApp.autoSnap = elements.autoSnap.checked;
+  });
+
+  // Se aplica al salir del campo: mientras se escribe la órbita no es válida
+  Object.values(VIEWER_INPUTS).forEach(id => {
+    document.getElementById(id).addEventListener("change", updatePatch);
+  });
+  elements.captureOrbit.addEventListener("click", captureOrbit);
+
+  elements.place.addEventListener("click", () => {
+    state.placing = !state.placing;
+    elements.place.setAttribute("aria-pressed", String(state.placing));
+  });
+
+  elements.preview.addEventListener("click", reloadFrame);
+  elements.copy.addEventListener("click", copyPatch);
+  elements.download.addEventListener("click", downloadPatch);
+
+  window.addEventListener("message", handleFrameMessage);
+}
+
+/* =====================
+   CARTA Y VISTA PREVIA
+===================== */
+
+function selectCard(cardId) {
+  const card = state.cards[cardId];
+  if (!card) return;
+
+  state.cardId = cardId;
+  state.hotspots = structuredClone(card.hotspots || []);
+  Object.entries(VIEWER_INPUTS).forEach(([field, id]) => {
+    document.getElementById(id).value = card.viewer?.[field] || "";
+  });
+
+  renderHotspotList();
+  updatePatch();
+  reloadFrame();
+}
+
+function reloadFrame() {
+  state.frameApp = null;
+  const params = new URLSearchParams({ id: state.cardId, [AUTHORING_CONFIG.urlParam]: "", lang: state.lang });
+  elements.frame.src = `${ROOT}card.html?${params}`;
+  setStatus("Cargando la vista previa…");
+}
+
+/**
+ * card.js avisa cuando la carta terminó de cargar: desde ahí se accede a la app y al visor
+ */
+function handleFrameMessage(event) {
+  const frameWindow = elements.frame.contentWindow;
+  if (event.origin !== window.location.origin || event.source !== frameWindow) return;
+  if (event.data?.type !== AUTHORING_CONFIG.readyMessage || event.data.cardId !== state.cardId) return;
+
+  state.frameApp = frameWindow.cardViewerApp;
+  state.frameApp.autoSnap = elements.autoSnap.checked;
+
+  const viewer = frameWindow.document.getElementById("card_viewer");
+  let pointerStart = null;
+  viewer.addEventListener("pointerdown", (e) => {
+    pointerStart = getEventPosition(e);
+  });
+  // Un arrastre para girar el modelo también termina en click: solo cuentan los toques
+  viewer.addEventListener("click", (e) => {
+    if (calculateDragDistance(pointerStart, getEventPosition(e)) <= DRAG_THRESHOLD) {
+      placeHotspot(e, viewer);
+    }
+  });
+
+  setStatus(`Vista previa lista (${state.lang}).`);
+}
+
+/**
+ * Aplica el parche a la app del iframe sin recargar (se conserva la órbita actual)
+ */
+function applyToFrame(patch) {
+  const app = state.frameApp;
+  if (!app) return;
+
+  app.cardData = applyMergePatch(state.cards[state.cardId], patch);
+  app.applyViewerSettings();
+  app.renderHotspots();
+}
+
+/* =====================
+   CÁMARA
+===================== */
+
+function captureOrbit() {
+  const viewer = elements.frame.contentDocument?.getElementById("card_viewer");
+  const orbit = state.frameApp && viewer?.getCameraOrbit();
+  if (!orbit) {
+    setStatus("La vista previa todavía no está lista.");
+    return;
+  }
+
+  // El radio queda en auto: card.html usa disable-zoom, la distancia no la elige quien mira
+  document.getElementById(VIEWER_INPUTS.cameraOrbit).value =
+    `${round(radToDeg(orbit.theta), 1)}deg ${round(radToDeg(orbit.phi), 1)}deg auto`;
+  updatePatch();
+}
+
+/* =====================
+   HOTSPOTS
+===================== */
+
+function placeHotspot(event, viewer) {
+  if (!state.placing || event.target !== viewer) return;
+
+  const hit = viewer.positionAndNormalFromPoint(event.clientX, event.clientY);
+  if (!hit) {
+    setStatus("No hay superficie del modelo en ese punto.");
+    return;
+  }
+
+  const id = getNextHotspotId();
+  state.hotspots.push({
+    id,
+    position: toArray(hit.position),
+    normal: toArray(hit.normal),
+    label: { [DEFAULT_LANG]: id }
+  });
+
+  renderHotspotList();
+  updatePatch();
+  setStatus(`Hotspot "${id}" añadido.`);
+  elements.hotspots.lastElementChild?.querySelector("input[data-locale]")?.focus();
+}
+
+function renderHotspotList() {
+  elements.hotspots.replaceChildren(...state.hotspots.map((hotspot, index) => {
+    const item = elements.hotspotTemplate.content.firstElementChild.cloneNode(true);
+    const prefix = `author_hotspot_${index}`;
+
+    const idInput = item.querySelector('[data-field="id"]');
+    idInput.id = `${prefix}_id`;
+    idInput.previousElementSibling.htmlFor = idInput.id;
+    idInput.value = hotspot.id;
+    idInput.addEventListener("change", () => renameHotspot(hotspot, idInput));
+
+    item.querySelector('[data-field="position"]').textContent =
+      `Posición ${hotspot.position.join(", ")} · normal ${hotspot.normal?.join(", ") ?? "-"}`;
+
+    item.querySelector('[data-field="texts"]').append(...state.locales.flatMap(({ code }) => [
+      createTextField(hotspot, "label", code, `${prefix}_label_${code}`, `Etiqueta (${code})`, "input"),
+      createTextField(hotspot, "body", code, `${prefix}_body_${code}`, `Texto (${code})`, "textarea")
+    ]));
+
+    item.querySelector('[data-action="remove"]').addEventListener("click", () => {
+      state.hotspots = state.hotspots.filter(entry => entry !== hotspot);
+      renderHotspotList();
+      updatePatch();
+    });
+
+    return item;
+  }));
+}
+
+/**
+ * Campo de texto de un idioma; vacío borra ese idioma del hotspot
+ */
+function createTextField(hotspot, field, locale, id, labelText, tagName) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "author-field";
+
+  const label = document.createElement("label");
+  label.htmlFor = id;
+  label.textContent = labelText;
+
+  const input = document.createElement(tagName);
+  input.id = id;
+  input.dataset.locale = locale;
+  input.value = hotspot[field]?.[locale] || "";
+  if (tagName === "textarea") input.rows = 2;
+
+  input.addEventListener("input", () => {
+    const texts = { ...hotspot[field], [locale]: input.value.trim() };
+    Object.keys(texts).filter(key => !texts[key]).forEach(key => delete texts[key]);
+    if (Object.keys(texts).length) {
+      hotspot[field] = texts;
+    } else {
+      delete hotspot[field];
+    }
+    updatePatch();
+  });
+
+  wrapper.append(label, input);
+  return wrapper;
+}
+
+function renameHotspot(hotspot, input) {
+  const id = input.value.trim();
+  const taken = state.hotspots.some(entry => entry !== hotspot && entry.id === id);
+  if (!HOTSPOT_ID_PATTERN.test(id) || taken) {
+    setStatus(taken ? `El ID "${id}" ya existe.` : "El ID solo admite minúsculas, números y guiones.");
+    input.value = hotspot.id;
+    return;
+  }
+  hotspot.id = id;
+  updatePatch();
+}
+
+function getNextHotspotId() {
+  const ids = new Set(state.hotspots.map(hotspot => hotspot.id));
+  let n = state.hotspots.length + 1;
+  while (ids.has(`hotspot-${n}`)) n++;
+  return `hotspot-${n}`;
+}
+
+/* =====================
+   PARCHE JSON
+===================== */
+
+/**
+ * Diferencia entre lo editado y data/cards.json, como JSON Merge Patch de la carta
+ */
+function buildPatch() {
+  const card = state.cards[state.cardId];
+  const patch = {};
+
+  // Las etiquetas son obligatorias: un hotspot sin ninguna no se exporta
+  const hotspots = state.hotspots.filter(hotspot => hotspot.label);
+  if (JSON.stringify(hotspots) !== JSON.stringify(card.hotspots || [])) {
+    patch.hotspots = hotspots.length ? hotspots : null;
+  }
+
+  const viewer = {};
+  Object.entries(VIEWER_INPUTS).forEach(([field, id]) => {
+    const value = document.getElementById(id).value.trim();
+    const original = card.viewer?.[field];
+    if (value && value !== original) {
+      viewer[field] = value;
+    } else if (!value && original) {
+      viewer[field] = null;
+    }
+  });
+  if (Object.keys(viewer).length) {
+    patch.viewer = viewer;
+  }
+
+  return patch;
+}
+
+function updatePatch() {
+  const patch = buildPatch();
+  writeAuthoringPatch(state.cardId, patch);
+  elements.patch.value = JSON.stringify({ [state.cardId]: patch }, null, 2);
+  applyToFrame(patch);
+}
+
+async function copyPatch() {
+  try {
+    await navigator.clipboard.writeText(elements.patch.value);
+    setStatus("Parche copiado.");
+  } catch (error) {
+    elements.patch.select();
+    setStatus("No se pudo copiar: selecciona el texto y cópialo a mano.");
+  }
+}
+
+function downloadPatch() {
+  const url = URL.createObjectURL(new Blob([`${elements.patch.value}\n`], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "card-patch.json";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* =====================
+   AUXILIARES
+===================== */
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} (${url})`);
+  return response.json();
+}
+
+/**
+ * Idiomas de lang/manifest.json (el idioma por defecto si no se puede leer)
+ */
+async function loadLocales() {
+  try {
+    const manifest = await fetchJson(ROOT + LANG_MANIFEST_PATH);
+    const locales = (manifest.locales || [])
+      .map(locale => ({ code: normalizeLanguageTag(locale.code), name: locale.name || locale.code }))
+      .filter(locale => locale.code);
+    if (locales.length) return locales;
+  } catch (error) {
+    console.warn("No se pudo leer el manifiesto de idiomas:", error);
+  }
+  return [{ code: DEFAULT_LANG, name: DEFAULT_LANG }];
+}
+
+function fillSelect(select, options) {
+  select.replaceChildren(...options.map(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }));
+}
+
+function setStatus(message) {
+  elements.status.textContent = message;
+}
+
+function toArray(vector) {
+  return [vector.x, vector.y, vector.z].map(value => round(value, 4));
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor || 0;
+}